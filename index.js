@@ -1,5 +1,7 @@
 'use strict';
 
+const { EventEmitter } = require('node:events');
+
 /**
  * Regular expression patterns used for sanitizing input data.
  * These patterns match common MongoDB injection attack vectors.
@@ -13,22 +15,120 @@ const PATTERNS = Object.freeze([
   /\{\s*\$|\$?\{(.|\r?\n)*\}/g,
 ]);
 
+/**
+ * Key patterns used by the 'operators' strategy: MongoDB operators and dotted paths.
+ * @constant {ReadonlyArray<RegExp>}
+ */
+const OPERATOR_KEY_PATTERNS = Object.freeze([/^\$/, /\./]);
+
+/**
+ * Operators that run server-side JavaScript or evaluate aggregation expressions. `allowedOperators` refuses them.
+ * @constant {ReadonlyArray<string>}
+ */
+const BLOCKED_OPERATORS = Object.freeze(['$where', '$function', '$expr', '$accumulator']);
+
+/**
+ * Default maximum length of a pattern accepted by `isSafeRegex()`.
+ * @constant {number}
+ */
+const MAX_SAFE_REGEX_LENGTH = 256;
+
+/**
+ * Keys that can modify prototypes. They are dropped at every depth regardless of other options.
+ * @constant {RegExp}
+ */
+const PROTOTYPE_KEY_PATTERN = /^(?:__proto__|constructor|prototype)$/;
+
+/**
+ * Request objects that can be sanitized.
+ * @constant {ReadonlyArray<string>}
+ */
+const SANITIZE_OBJECTS = Object.freeze(['body', 'query', 'headers', 'cookies', 'signedCookies', 'params']);
+
+/**
+ * Headers left untouched when `headers` are sanitized. Entries ending with `*` match a prefix.
+ * @constant {ReadonlyArray<string>}
+ */
+const HEADER_ALLOWLIST = Object.freeze([
+  'accept',
+  'accept-charset',
+  'accept-encoding',
+  'accept-language',
+  'authorization',
+  'cache-control',
+  'connection',
+  'content-encoding',
+  'content-length',
+  'content-type',
+  'cookie',
+  'dnt',
+  'expect',
+  'forwarded',
+  'host',
+  'if-match',
+  'if-modified-since',
+  'if-none-match',
+  'if-range',
+  'if-unmodified-since',
+  'origin',
+  'pragma',
+  'range',
+  'referer',
+  'sec-*',
+  'te',
+  'transfer-encoding',
+  'upgrade',
+  'upgrade-insecure-requests',
+  'user-agent',
+  'via',
+  'x-forwarded-*',
+  'x-real-ip',
+  'x-requested-with',
+]);
+
+/**
+ * Keys or path rules whose values are replaced with '[REDACTED]' in log output by default.
+ * @constant {ReadonlyArray<string>}
+ */
+const REDACT_PATHS = Object.freeze([
+  'password',
+  'secret',
+  'token',
+  'authorization',
+  'cookie',
+  'cookies',
+  'signedCookies',
+]);
+
 /**
  * Default configuration options for the sanitizer.
  * @constant {Object}
  * @property {string} replaceWith - String to replace sanitized content with
  * @property {boolean} removeMatches - Whether to remove matches entirely
- * @property {string[]} sanitizeObjects - Request objects to sanitize
- * @property {string} mode - Operation mode ('auto' or 'manual')
- * @property {string[]} skipRoutes - Routes to skip sanitization
+ * @property {string[]} sanitizeObjects - Request objects to sanitize (see SANITIZE_OBJECTS)
+ * @property {string} mode - Operation mode ('auto', 'manual', 'reject' or 'monitor')
+ * @property {string} strategy - Sanitization strategy ('patterns' or 'operators')
+ * @property {Array<string|RegExp|Object|Function>} skipRoutes - Routes to skip sanitization
  * @property {Function|null} customSanitizer - Custom sanitization function
- * @property {boolean} recursive - Whether to sanitize recursively
+ * @property {Function|null} onSanitize - Callback receiving the sanitization report and request
+ * @property {Object|null} metrics - Metrics sink with `increment(name, tags)` and `observe(name, value, tags)`
+ * @property {boolean} recursive - Whether to sanitize nested objects and arrays (false = top-level only)
  * @property {boolean} removeEmpty - Whether to remove empty values
  * @property {RegExp[]} patterns - Patterns to match for sanitization
- * @property {string[]} allowedKeys - Keys that are allowed
- * @property {string[]} deniedKeys - Keys that are denied
+ * @property {string[]} allowedKeys - Keys or path rules (e.g. 'body.user.*.email') that are allowed
+ * @property {string[]} deniedKeys - Keys or path rules (e.g. 'query.sort') that are denied
+ * @property {string[]} exemptPaths - Paths whose values are not sanitized (keys still are)
+ * @property {Array<string|Function>} preserve - Formats (see PRESERVE_FORMATS) or predicates for strings left untouched
+ * @property {Object<string, Object>} fieldRules - Per-path value rules ({ sanitizeValues, patterns, preserve })
+ * @property {Object<string, string|Object>} schema - Expected type per path (see SCHEMA_TYPES), or { type, action }
+ * @property {Object<string, string[]|Object>} allowedOperators - Operators kept under a path, or
+ *   { operators, action, maxRegexLength, regex }
  * @property {Object} stringOptions - String-specific options
  * @property {Object} arrayOptions - Array-specific options
+ * @property {Object} headerOptions - Header-specific options
+ * @property {Object} queryOptions - Query-string specific options (flattening, array index limit)
+ * @property {Object} limitOptions - Depth, size and key-count limits
+ * @property {Object} rejectOptions - Response options used by 'reject' mode
  * @property {Object} debug - Debug configuration
  */
 const DEFAULT_OPTIONS = Object.freeze({
@@ -36,13 +136,21 @@ const DEFAULT_OPTIONS = Object.freeze({
   removeMatches: false,
   sanitizeObjects: ['body', 'query'],
   mode: 'auto',
+  strategy: 'patterns',
   skipRoutes: [],
   customSanitizer: null,
+  onSanitize: null,
+  metrics: null,
   recursive: true,
   removeEmpty: false,
   patterns: PATTERNS,
   allowedKeys: [],
   deniedKeys: [],
+  exemptPaths: [],
+  preserve: ['email'],
+  fieldRules: {},
+  schema: {},
+  allowedOperators: {},
   stringOptions: {
     trim: false,
     lowercase: false,
@@ -52,10 +160,35 @@ const DEFAULT_OPTIONS = Object.freeze({
     filterNull: false,
     distinct: false,
   },
+  headerOptions: {
+    allowlist: HEADER_ALLOWLIST,
+  },
+  queryOptions: {
+    flatten: false,
+    maxArrayIndex: null,
+    action: 'drop',
+  },
+  limitOptions: {
+    maxDepth: null,
+    maxKeys: null,
+    maxArrayLength: null,
+    maxStringLength: null,
+    action: 'truncate',
+  },
+  rejectOptions: {
+    statusCode: 400,
+    type: 'injection_detected',
+    message: 'Request contains forbidden characters',
+    body: null,
+  },
   debug: {
     enabled: false,
     level: 'info',
     logSkippedRoutes: false,
+    logger: null,
+    format: 'pretty',
+    colors: 'auto',
+    redact: REDACT_PATHS,
   },
 });
 
@@ -86,23 +219,96 @@ const LOG_COLORS = Object.freeze({
 });
 
 /**
- * Logs debug messages with colored output and formatting.
+ * Placeholder written to logs in place of redacted values.
+ * @constant {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Checks whether a message at the given level would be logged.
+ * @param {Object} debugOpts - Debug configuration options
+ * @param {string} level - Log level (error, warn, info, debug, trace)
+ * @returns {boolean} True if logging is enabled for the level
+ */
+const isLogEnabled = (debugOpts, level) =>
+  !!debugOpts?.enabled && LOG_LEVELS[debugOpts.level || 'silent'] >= LOG_LEVELS[level];
+
+/**
+ * Returns a copy of a value with every entry under a redacted path replaced by '[REDACTED]'.
+ * @param {*} value - Value to redact
+ * @param {Array<Array>} rules - Compiled redaction path rules
+ * @param {Array<string|number>} path - Path of the value
+ * @param {Set} [ancestors=new Set()] - Containers being copied, used to cut cycles
+ * @returns {*} Redacted copy
+ */
+const redactValue = (value, rules, path, ancestors = new Set()) => {
+  if (rules.some((rule) => matchPathRule(rule, path))) return REDACTED;
+  if (!isArray(value) && !isPlainObject(value)) return value;
+  if (ancestors.has(value)) return '[Circular]';
+  ancestors.add(value);
+  const copy = isArray(value)
+    ? value.map((item, index) => redactValue(item, rules, [...path, index], ancestors))
+    : Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, redactValue(item, rules, [...path, key], ancestors)])
+      );
+  ancestors.delete(value);
+  return copy;
+};
+
+/**
+ * Serializes log data, falling back to a placeholder for values JSON cannot represent.
+ * @param {*} data - Data to serialize
+ * @param {number} [indent] - Indentation for pretty output
+ * @returns {string} Serialized data
+ */
+const stringifyLogData = (data, indent) => {
+  try {
+    return JSON.stringify(data, null, indent);
+  } catch {
+    return '"[Unserializable]"';
+  }
+};
+
+/**
+ * Writes a log entry to the configured logger, or to the console as JSON or colored text.
+ * Custom loggers are called pino/bunyan style (`logger[level](fields, message)`), or winston style
+ * (`logger[level](message, fields)`) when the logger has `transports`.
  * @param {Object} debugOpts - Debug configuration options
  * @param {string} level - Log level (error, warn, info, debug, trace)
  * @param {string} context - Context identifier for the log message
  * @param {string} message - Main log message
  * @param {*} [data=null] - Optional data to include in the log
+ * @param {Array<string|number>|null} [path=null] - Request path of the values held by `data`; when set, each
+ *   property of `data` (e.g. `{ before, after }`) is redacted as a value located at that path
  */
-const log = (debugOpts, level, context, message, data = null) => {
-  if (!debugOpts?.enabled || LOG_LEVELS[debugOpts.level || 'silent'] < LOG_LEVELS[level]) return;
-  const color = LOG_COLORS[level] || '';
-  const reset = LOG_COLORS.reset;
+const log = (debugOpts, level, context, message, data = null, path = null) => {
+  if (!isLogEnabled(debugOpts, level)) return;
+  const { logger, format, colors, redact } = debugOpts;
+  if (data !== null && path !== null && redact?.length) {
+    data = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, redactValue(value, redact, path)]));
+  }
+  if (logger) {
+    const method = [level, 'debug', 'info'].map((name) => logger[name]).find(isFunction);
+    const fields = data === null ? { context } : { context, data };
+    if (!method) return;
+    if (logger.transports) method.call(logger, message, fields);
+    else method.call(logger, fields, message);
+    return;
+  }
   const timestamp = new Date().toISOString();
+  if (format === 'json') {
+    const entry = { time: timestamp, level, name: 'mongo-sanitize', context, msg: message };
+    if (data !== null) entry.data = data;
+    console.log(stringifyLogData(entry));
+    return;
+  }
+  const color = colors === true ? LOG_COLORS[level] || '' : '';
+  const reset = colors === true ? LOG_COLORS.reset : '';
   let logMessage = `${color}[mongo-sanitize:${level.toUpperCase()}]${reset} ${timestamp} [${context}] ${message}`;
   if (data !== null) {
     if (typeof data === 'object') {
       console.log(logMessage);
-      console.log(`${color}Data:${reset}`, JSON.stringify(data, null, 2));
+      console.log(`${color}Data:${reset}`, stringifyLogData(data, 2));
     } else {
       console.log(logMessage, data);
     }
@@ -111,6 +317,93 @@ const log = (debugOpts, level, context, message, data = null) => {
   }
 };
 
+/**
+ * Names of the metrics reported to the `metrics` option.
+ * @constant {Object<string, string>}
+ */
+const METRICS = Object.freeze({
+  requests: 'mongo_sanitize_requests_total',
+  sanitizedFields: 'mongo_sanitize_sanitized_fields_total',
+  rejected: 'mongo_sanitize_rejected_total',
+  skipped: 'mongo_sanitize_skipped_total',
+  duration: 'mongo_sanitize_duration_seconds',
+});
+
+/**
+ * Help text of each metric in the Prometheus exposition format.
+ * @constant {Object<string, string>}
+ */
+const METRIC_HELP = Object.freeze({
+  [METRICS.requests]: 'Requests inspected by the sanitizer',
+  [METRICS.sanitizedFields]: 'Keys and values matched by the sanitizer',
+  [METRICS.rejected]: 'Requests rejected by the sanitizer',
+  [METRICS.skipped]: 'Requests on skipped routes',
+  [METRICS.duration]: 'Time spent sanitizing a request in seconds',
+});
+
+/**
+ * Default histogram buckets (in seconds) of the Prometheus adapter.
+ * @constant {number[]}
+ */
+const DURATION_BUCKETS = Object.freeze([0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.1]);
+
+/**
+ * Reports a metric to the configured metrics sink. Errors thrown by the sink are logged, never propagated.
+ * @param {Object} options - Sanitization options
+ * @param {string} method - Sink method ('increment' or 'observe')
+ * @param {...*} args - Arguments passed to the sink method (name, [value,] tags)
+ */
+const recordMetric = (options, method, ...args) => {
+  if (!options.metrics) return;
+  try {
+    options.metrics[method](...args);
+  } catch (error) {
+    log(options.debug, 'error', 'METRICS', error.message);
+  }
+};
+
+/**
+ * Route label of requests the router has not matched to a route yet.
+ * @constant {string}
+ */
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Returns the route label of a request: the pattern of the matched route (e.g. `/users/:id`) when the router
+ * already matched one, UNMATCHED_ROUTE otherwise. Request paths are never used, so that labels stay bounded
+ * whatever paths clients request.
+ * @param {Object} request - Express request object
+ * @returns {string} Route label
+ */
+const getRouteLabel = (request) => {
+  const routePath = request.route?.path;
+  return routePath != null ? String(routePath) : UNMATCHED_ROUTE;
+};
+
+/**
+ * Returns the request object a finding belongs to (e.g. 'body' for 'body.user.$ne').
+ * @param {Object} finding - Report finding
+ * @returns {string} Request object name
+ */
+const getFindingSource = (finding) => finding.path.split(/[.[]/)[0];
+
+/**
+ * Reports the findings of a sanitization run as `sanitizedFields`, tagged with their source and first pattern.
+ * @param {Object} options - Sanitization options
+ * @param {string} route - Route label
+ * @param {Object[]} findings - Findings of the run
+ */
+const recordFindings = (options, route, findings) => {
+  findings.forEach((finding) => {
+    recordMetric(options, 'increment', METRICS.sanitizedFields, {
+      route,
+      source: getFindingSource(finding),
+      type: finding.type,
+      pattern: finding.patterns[0] || '',
+    });
+  });
+};
+
 /**
  * Checks if a value is a string.
  * @param {*} value - Value to check
@@ -125,16 +418,101 @@ const isString = (value) => typeof value === 'string';
  */
 const isEmail = (val) =>
   isString(val) &&
+  val.includes('@') &&
   /^(?:[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*|"(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21\x23-\x5b\x5d-\x7f]|\\[\x01-\x09\x0b\x0c\x0e-\x7f])*")@(?:(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?|\[(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?|[a-z0-9-]*[a-z0-9]:(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21-\x5a\x53-\x7f]|\\[\x01-\x09\x0b\x0c\x0e-\x7f])+)\])$/i.test(
     val
   );
 
 /**
- * Checks if a value is a plain object (not array, date, etc.).
+ * Validates if a string is an absolute http(s) URL.
+ * @param {string} val - Value to validate
+ * @returns {boolean} True if value is an http or https URL
+ */
+const isUrl = (val) => {
+  if (!/^https?:\/\/\S+$/i.test(val)) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(val).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Built-in formats accepted by the `preserve` option. Strings matching one of them are left untouched.
+ * @constant {Object<string, function(string): boolean>}
+ */
+const PRESERVE_FORMATS = Object.freeze({
+  email: isEmail,
+  url: isUrl,
+  uuid: (val) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(val),
+  'iso-date': (val) =>
+    /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(val) &&
+    !Number.isNaN(Date.parse(val)),
+  objectid: (val) => /^[0-9a-f]{24}$/i.test(val),
+  semver: (val) =>
+    /^v?(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)(?:-[0-9a-z-]+(?:\.[0-9a-z-]+)*)?(?:\+[0-9a-z-]+(?:\.[0-9a-z-]+)*)?$/i.test(
+      val
+    ),
+});
+
+/**
+ * Checks if a value is a plain object: an object literal or a null-prototype object (not array, date,
+ * class instance, etc.).
  * @param {*} obj - Value to check
  * @returns {boolean} True if value is a plain object
  */
-const isPlainObject = (obj) => !!obj && Object.prototype.toString.call(obj) === '[object Object]';
+const isPlainObject = (obj) => {
+  if (!obj || Object.prototype.toString.call(obj) !== '[object Object]') return false;
+  const proto = Object.getPrototypeOf(obj);
+  return proto === null || proto === Object.prototype;
+};
+
+/**
+ * BSON types (`_bsontype`) holding data that cannot carry an injection; they are left untouched.
+ * Other BSON types (Code, BSONRegExp, DBRef, BSONSymbol) are sanitized like class instances.
+ * @constant {ReadonlyArray<string>}
+ */
+const SAFE_BSON_TYPES = Object.freeze([
+  'ObjectId',
+  'ObjectID',
+  'Decimal128',
+  'Long',
+  'Double',
+  'Int32',
+  'Binary',
+  'UUID',
+  'Timestamp',
+  'MinKey',
+  'MaxKey',
+]);
+
+/**
+ * Checks whether a value is a safe BSON value (see SAFE_BSON_TYPES). Plain objects are never trusted, so a parsed
+ * body cannot pass for one by setting its own `_bsontype` key.
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a safe BSON value
+ */
+const isSafeBsonValue = (value) => !isPlainObject(value) && SAFE_BSON_TYPES.includes(value._bsontype);
+
+/**
+ * Classifies a value by how the sanitizer handles it:
+ * - 'array', 'object' (plain), 'map' (keys and values) and 'set' (entries) are sanitized into copies of the same type
+ * - 'instance' (class instances and unsafe BSON values) has its own enumerable properties sanitized, keeping its
+ *   prototype
+ * - null: left untouched, i.e. primitives, strings (sanitized separately), dates, Buffers, typed arrays and other
+ *   built-ins, and safe BSON values (see SAFE_BSON_TYPES)
+ * @param {*} value - Value to classify
+ * @returns {string|null} Container type, or null if the value is not a container
+ */
+const getContainerType = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  if (isArray(value)) return 'array';
+  if (value instanceof Map) return 'map';
+  if (value instanceof Set) return 'set';
+  if (Object.prototype.toString.call(value) !== '[object Object]') return null;
+  if (isSafeBsonValue(value)) return null;
+  return isPlainObject(value) ? 'object' : 'instance';
+};
 
 /**
  * Checks if an object is empty (has no own properties).
@@ -179,9 +557,6 @@ const isFunction = (value) => typeof value === 'function';
  * @extends Error
  */
 class ExpressMongoSanitizeError extends Error {
-  cause;
-  message;
-  stack;
   /**
    * Creates a new ExpressMongoSanitizeError.
    * @param {string} message - Error message
@@ -204,271 +579,2390 @@ class ExpressMongoSanitizeError extends Error {
 }
 
 /**
- * Sanitizes a string by removing or replacing dangerous patterns.
- * @param {string} str - String to sanitize
- * @param {Object} options - Sanitization options
- * @param {boolean} [isValue=false] - Whether this is a value (affects length limits)
- * @returns {string} Sanitized string
+ * Creates an error carrying an HTTP status code for Express error handlers.
+ * @param {string} message - Error message
+ * @param {string} type - Error type identifier
+ * @param {number} statusCode - HTTP status code
+ * @returns {ExpressMongoSanitizeError} Error with `status`, `statusCode` and `expose` set
  */
-const sanitizeString = (str, options, isValue = false) => {
-  const { debug } = options;
-  if (!isString(str) || isEmail(str)) {
-    log(debug, 'trace', 'STRING', `Skipping: not a string or is email`, str);
-    return str;
-  }
-  const { replaceWith, patterns, stringOptions } = options;
-  const combinedPattern = new RegExp(patterns.map((pattern) => pattern.source).join('|'), 'g');
-  const original = str;
-  let result = str.replace(combinedPattern, replaceWith);
-  if (stringOptions.trim) result = result.trim();
-  if (stringOptions.lowercase) result = result.toLowerCase();
-  if (stringOptions.maxLength && isValue) result = result.slice(0, stringOptions.maxLength);
-  if (debug?.enabled && original !== result) {
-    log(debug, 'debug', 'STRING', `Sanitized string`, { original, result });
-  }
-  return result;
+const createHttpError = (message, type, statusCode) => {
+  const error = new ExpressMongoSanitizeError(message, type);
+  error.status = statusCode;
+  error.statusCode = statusCode;
+  error.expose = true;
+  return error;
 };
 
 /**
- * Sanitizes an array by processing each element and applying array-specific options.
- * @param {Array} arr - Array to sanitize
- * @param {Object} options - Sanitization options
- * @returns {Array} Sanitized array
- * @throws {ExpressMongoSanitizeError} If input is not an array
+ * Tests a string against a pattern without leaking `lastIndex` state from global regexes.
+ * @param {RegExp} pattern - Pattern to test
+ * @param {string} str - String to test
+ * @returns {boolean} True if the pattern matches
  */
-const sanitizeArray = (arr, options) => {
-  const { debug } = options;
-  if (!isArray(arr)) {
-    log(debug, 'error', 'ARRAY', `Input is not array`, arr);
-    throw new ExpressMongoSanitizeError('Input must be an array', 'type_error');
-  }
-  log(debug, 'trace', 'ARRAY', `Sanitizing array of length ${arr.length}`);
-  let result = arr.map((item) => sanitizeValue(item, options, true));
-  if (options.arrayOptions.filterNull) {
-    const before = result.length;
-    result = result.filter(Boolean);
-    log(debug, 'debug', 'ARRAY', `Filtered nulls: ${before} → ${result.length}`);
-  }
-  if (options.arrayOptions.distinct) {
-    const before = result.length;
-    result = [...new Set(result)];
-    log(debug, 'debug', 'ARRAY', `Removed duplicates: ${before} → ${result.length}`);
-  }
-  return result;
+const testPattern = (pattern, str) => {
+  pattern.lastIndex = 0;
+  const matched = pattern.test(str);
+  pattern.lastIndex = 0;
+  return matched;
 };
 
 /**
- * Sanitizes an object by processing keys and values according to configuration.
- * @param {Object} obj - Object to sanitize
- * @param {Object} options - Sanitization options
- * @returns {Object} Sanitized object
- * @throws {ExpressMongoSanitizeError} If input is not an object
+ * Cache of compiled matchers keyed by their pattern list, so equal option objects share one matcher.
+ * @type {WeakMap<RegExp[], Object>}
  */
-const sanitizeObject = (obj, options) => {
-  const { debug, removeEmpty, allowedKeys, deniedKeys, removeMatches, patterns } = options;
-  if (!isPlainObject(obj)) {
-    log(debug, 'error', 'OBJECT', `Input is not object`, obj);
-    throw new ExpressMongoSanitizeError('Input must be an object', 'type_error');
-  }
-  log(debug, 'trace', 'OBJECT', `Sanitizing object with keys: ${Object.keys(obj)}`);
-  return Object.entries(obj).reduce((acc, [key, val]) => {
-    if ((allowedKeys.size && !allowedKeys.has(key)) || deniedKeys.has(key)) {
-      log(debug, 'debug', 'OBJECT', `Key '${key}' removed (allowed/denied filter)`);
-      return acc;
-    }
-    const sanitizedKey = sanitizeString(key, options);
-    if (removeMatches && patterns.some((pattern) => pattern.test(key))) {
-      log(debug, 'debug', 'OBJECT', `Key '${key}' matches removal pattern`);
-      return acc;
-    }
-    if (removeEmpty && !sanitizedKey) {
-      log(debug, 'debug', 'OBJECT', `Key '${key}' removed (empty after sanitize)`);
-      return acc;
-    }
-    if (isEmail(val) && deniedKeys.has(key)) {
-      acc[sanitizedKey] = val;
-      log(debug, 'trace', 'OBJECT', `Email field preserved: ${key}`);
-      return acc;
-    }
-    if (removeMatches && isString(val) && patterns.some((pattern) => pattern.test(val))) {
-      log(debug, 'debug', 'OBJECT', `Value for key '${key}' matches removal pattern`);
-      return acc;
-    }
-    const sanitizedValue = sanitizeValue(val, options, true);
-    if (!removeEmpty || sanitizedValue) acc[sanitizedKey] = sanitizedValue;
-    return acc;
-  }, {});
-};
+const matcherCache = new WeakMap();
 
 /**
- * Main sanitization function that routes values to appropriate sanitizers.
- * @param {*} value - Value to sanitize
- * @param {Object} options - Sanitization options
- * @param {boolean} [isValue=false] - Whether this is a value context
- * @returns {*} Sanitized value
+ * Compiles a pattern list once into a matcher used on the hot path.
+ * `test` runs a single combined, non-global regex so strings without special characters cost one scan;
+ * `match` tests non-global clones of each pattern, so no `lastIndex` state leaks between calls.
+ * @param {RegExp[]} patterns - Patterns to compile
+ * @returns {{patterns: RegExp[], test: function(string): boolean, match: function(string): RegExp[], replace: function(string, string): string}} Compiled matcher
  */
-const sanitizeValue = (value, options, isValue = false) => {
-  if (!value || isPrimitive(value) || isDate(value)) return value;
-  if (Array.isArray(value)) return sanitizeArray(value, options);
-  if (isPlainObject(value)) return sanitizeObject(value, options);
-  return isString(value) ? sanitizeString(value, options, isValue) : value;
+const compileMatcher = (patterns) => {
+  if (matcherCache.has(patterns)) return matcherCache.get(patterns);
+  const source = patterns.map((pattern) => pattern.source).join('|');
+  const tester = patterns.length ? new RegExp(source) : null;
+  const replacer = patterns.length ? new RegExp(source, 'g') : null;
+  const clones = patterns.map((pattern) => [pattern, new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))]);
+  const matcher = Object.freeze({
+    patterns,
+    test: (str) => tester !== null && tester.test(str),
+    match: (str) =>
+      (tester !== null && tester.test(str) ? clones.filter(([, clone]) => clone.test(str)) : []).map(
+        ([pattern]) => pattern
+      ),
+    replace: (str, replaceWith) => (replacer === null ? str : str.replace(replacer, replaceWith)),
+  });
+  matcherCache.set(patterns, matcher);
+  return matcher;
 };
 
 /**
- * Validates the provided options object against expected schema.
- * @param {Object} options - Options to validate
- * @throws {ExpressMongoSanitizeError} If any option is invalid
+ * Matcher for keys removed by the 'operators' strategy.
+ * @constant {Object}
  */
-const validateOptions = (options) => {
-  const validators = {
-    replaceWith: isString,
-    removeMatches: isPrimitive,
-    sanitizeObjects: isArray,
-    mode: (value) => ['auto', 'manual'].includes(value),
-    skipRoutes: isArray,
-    customSanitizer: (value) => value === null || isFunction(value),
-    recursive: isPrimitive,
-    removeEmpty: isPrimitive,
-    patterns: isArray,
-    allowedKeys: (value) => value === null || isArray(value),
-    deniedKeys: (value) => value === null || isArray(value),
-    stringOptions: isPlainObject,
-    arrayOptions: isPlainObject,
-  };
-  for (const [key, validate] of Object.entries(validators)) {
-    if (!validate(options[key])) {
-      throw new ExpressMongoSanitizeError(`Invalid configuration: "${key}" with value "${options[key]}"`, 'type_error');
-    }
-  }
-};
+const OPERATOR_KEY_MATCHER = compileMatcher(OPERATOR_KEY_PATTERNS);
 
 /**
- * Checks if a property is writable on an object or its prototype chain.
- * @param {Object} obj - Object to check
- * @param {string} prop - Property name to check
- * @returns {boolean} True if property is writable
+ * Context used when a string is sanitized outside of a report (no path tracking). It has no `ancestors`: strings
+ * are never containers, and a shared set would leak cycle tracking between calls; containers get their own context
+ * from createContext.
+ * @constant {Object}
  */
-const isWritable = (obj, prop) => {
-  let cur = obj;
-  while (cur) {
-    const descriptor = Object.getOwnPropertyDescriptor(cur, prop);
-    if (descriptor) return !!descriptor.writable;
-    cur = Object.getPrototypeOf(cur);
-  }
-  return true;
+const ROOT_CONTEXT = Object.freeze({ parent: null, segment: null, depth: 0, path: [], report: null, scope: null });
+
+/**
+ * Creates an empty sanitization report.
+ * @returns {{sanitized: boolean, findings: Object[]}} Report collecting findings for a sanitization run
+ */
+const createReport = () => ({ sanitized: false, findings: [] });
+
+/**
+ * Creates the counters exposed as `middleware.stats`.
+ * @returns {{requests: number, flagged: number, findings: number}} Zeroed counters
+ */
+const createStats = () => ({ requests: 0, flagged: 0, findings: 0 });
+
+/**
+ * Adds findings of a sanitization run to the counters of a middleware.
+ * @param {Object} stats - Counters created by createStats
+ * @param {Object[]} findings - Findings added by the run
+ * @param {boolean} flagged - Whether the run flagged a request that had no findings before
+ */
+const countFindings = (stats, findings, flagged) => {
+  stats.findings += findings.length;
+  if (flagged) stats.flagged++;
 };
 
 /**
- * Handles sanitization of Express request objects.
- * @param {Object} request - Express request object
- * @param {Object} options - Sanitization options
+ * EventEmitter methods exposed on middleware functions.
+ * @constant {ReadonlyArray<string>}
  */
-const handleRequest = (request, options) => {
-  const { sanitizeObjects, customSanitizer, debug } = options;
-  log(debug, 'info', 'REQUEST', `Sanitizing request`, { url: request.originalUrl || request.url });
-  sanitizeObjects.forEach((sanitizeObject) => {
-    const requestObject = request[sanitizeObject];
-    if (requestObject && !isObjectEmpty(requestObject)) {
-      log(debug, 'debug', 'REQUEST', `Sanitizing '${sanitizeObject}'`, requestObject);
-      const originalRequest = Object.assign(Array.isArray(requestObject) ? [] : {}, requestObject);
-      const sanitized = customSanitizer
-        ? customSanitizer(originalRequest, options)
-        : sanitizeValue(originalRequest, options);
-      if (debug?.enabled && JSON.stringify(originalRequest) !== JSON.stringify(sanitized)) {
-        log(debug, 'debug', 'REQUEST', `'${sanitizeObject}' sanitized`, {
-          before: originalRequest,
-          after: sanitized,
-        });
-      }
-      if (isWritable(request, sanitizeObject)) {
-        request[sanitizeObject] = sanitized;
-      } else if (isPlainObject(request[sanitizeObject]) && sanitizeObject === 'query') {
-        Object.defineProperty(request, 'query', {
-          value: Object.setPrototypeOf(sanitized, null),
-          writable: true,
-          enumerable: true,
-          configurable: true,
-        });
-      }
-    }
+const EMITTER_METHODS = Object.freeze([
+  'on',
+  'once',
+  'off',
+  'addListener',
+  'removeListener',
+  'prependListener',
+  'prependOnceListener',
+  'removeAllListeners',
+  'listeners',
+  'listenerCount',
+  'eventNames',
+]);
+
+/**
+ * Creates the state of a middleware instance: its counters and the emitter of its lifecycle events.
+ * @returns {{stats: Object, events: EventEmitter}} Instance state
+ */
+const createInstance = () => ({ stats: createStats(), events: new EventEmitter() });
+
+/**
+ * Exposes the counters (`middleware.stats`) and the EventEmitter interface of an instance on its middleware.
+ * Methods returning the emitter (`on`, `once`...) return the middleware so calls can be chained.
+ * @param {Function} middleware - Express middleware function
+ * @param {Object} instance - Instance state created by createInstance
+ * @returns {Function} The middleware
+ */
+const exposeInstance = (middleware, { stats, events }) => {
+  middleware.stats = stats;
+  EMITTER_METHODS.forEach((method) => {
+    middleware[method] = (...args) => {
+      const result = events[method](...args);
+      return result === events ? middleware : result;
+    };
   });
+  return middleware;
 };
 
 /**
- * Cleans and normalizes a URL path for comparison.
- * @param {string} url - URL to clean
- * @returns {string|null} Cleaned URL path or null if invalid
+ * Emits a lifecycle event. Events without listeners (including 'error') are dropped, and errors thrown by
+ * listeners are logged, never propagated to the request.
+ * @param {Object} options - Sanitization options
+ * @param {EventEmitter} events - Emitter of the instance
+ * @param {string} name - Event name ('sanitized', 'rejected', 'skipped' or 'error')
+ * @param {Object} payload - Event payload
  */
-const cleanUrl = (url) => {
-  if (typeof url !== 'string' || !url) return null;
-  const [path] = url.split(/[?#]/);
-  const trimmed = path.replace(/^\/+|\/+$/g, '');
-  return trimmed ? '/' + trimmed : '/';
+const emitEvent = (options, events, name, payload) => {
+  if (!events.listenerCount(name)) return;
+  try {
+    events.emit(name, payload);
+  } catch (error) {
+    log(options.debug, 'error', 'EVENTS', `'${name}' listener failed: ${error.message}`);
+  }
 };
 
 /**
- * Main middleware factory function for Express MongoDB sanitization.
- * @param {Object} [options={}] - Configuration options
- * @returns {Function} Express middleware function
- * @throws {ExpressMongoSanitizeError} If options are invalid
+ * Summarizes findings for event payloads.
+ * @param {Object[]} findings - Report findings
+ * @returns {{paths: string[], patterns: string[], findings: Object[]}} Affected paths, distinct matching patterns
+ *   and the findings themselves
  */
-const expressMongoSanitize = (options = {}) => {
-  if (!isPlainObject(options)) throw new ExpressMongoSanitizeError('Options must be an object', 'type_error');
+const describeFindings = (findings) => ({
+  paths: findings.map((finding) => finding.path),
+  patterns: [...new Set(findings.flatMap((finding) => finding.patterns))],
+  findings,
+});
 
-  const userOpts = { ...DEFAULT_OPTIONS, ...options };
-  validateOptions(userOpts);
+/**
+ * Creates a sanitization context rooted at a request object.
+ * @param {string|null} root - Root path segment (e.g. 'body')
+ * @param {Object|null} [report=null] - Report receiving findings
+ * @returns {{parent: null, segment: string|null, depth: number, path: Array<string|number>, report: Object|null, scope: string|null, ancestors: Set}} Sanitization context
+ */
+const createContext = (root, report = null) => ({
+  parent: null,
+  segment: root,
+  depth: root == null ? 0 : 1,
+  path: root == null ? [] : [root],
+  report,
+  scope: root,
+  ancestors: new Set(),
+});
 
-  const opts = {
-    ...userOpts,
-    skipRoutes: new Set(options.skipRoutes || DEFAULT_OPTIONS.skipRoutes),
-    allowedKeys: new Set(options.allowedKeys || DEFAULT_OPTIONS.allowedKeys),
-    deniedKeys: new Set(options.deniedKeys || DEFAULT_OPTIONS.deniedKeys),
-    debug: { ...DEFAULT_OPTIONS.debug, ...(options.debug || {}) },
-  };
+/**
+ * Creates a child context for a nested key or array index.
+ * The path is only materialized by `getPath` when a rule, finding or log needs it.
+ * @param {Object} context - Parent context
+ * @param {string|number} segment - Object key or array index
+ * @returns {{parent: Object, segment: string|number, depth: number, path: null, report: Object|null, scope: string|null, ancestors: Set}} Child context
+ */
+const childContext = (context, segment) => ({
+  parent: context,
+  segment,
+  depth: context.depth + 1,
+  path: null,
+  report: context.report,
+  scope: context.scope,
+  ancestors: context.ancestors,
+});
 
-  return (req, res, next) => {
-    log(opts.debug, 'trace', 'MIDDLEWARE', `Incoming request`, { url: req.originalUrl || req.url, method: req.method });
-    const cleanedRequestPath = cleanUrl(req.path || req.url);
-    const shouldSkip = Array.from(opts.skipRoutes).some((skipPath) => cleanUrl(skipPath) === cleanedRequestPath);
-    if (shouldSkip) {
-      if (opts.debug?.logSkippedRoutes)
-        log(opts.debug, 'info', 'SKIP', `Skipped route: ${req.method} ${cleanedRequestPath}`);
-      return next();
-    }
-    if (opts.mode === 'auto') {
-      log(opts.debug, 'trace', 'MIDDLEWARE', `Auto mode: running sanitizer`);
-      handleRequest(req, opts);
-    }
-    if (opts.mode === 'manual') {
-      log(opts.debug, 'trace', 'MIDDLEWARE', `Manual mode: exposing req.sanitize`);
-      req.sanitize = (customOpts) => {
-        const finalOpts = { ...opts, ...customOpts };
-        handleRequest(req, finalOpts);
-      };
-    }
-    next();
-  };
+/**
+ * Returns the path of a context, building and caching it on first access.
+ * @param {Object} context - Sanitization context
+ * @returns {Array<string|number>} Path segments from the root
+ */
+const getPath = (context) => {
+  if (context.path === null) context.path = [...getPath(context.parent), context.segment];
+  return context.path;
 };
 
 /**
- * Creates a parameter sanitization handler for Express route parameters.
- * @param {Object} [options={}] - Configuration options
- * @returns {Function} Express parameter handler function
+ * Returns the nesting depth of a container at the context's position (the top-level value is depth 1).
+ * @param {Object} context - Sanitization context
+ * @returns {number} Nesting depth
  */
-const paramSanitizeHandler = (options = {}) => {
-  const opts = {
-    ...DEFAULT_OPTIONS,
-    ...options,
-    debug: { ...DEFAULT_OPTIONS.debug, ...(options.debug || {}) },
-  };
-  return function (req, res, next, value, paramName) {
-    const key = paramName || this?.name;
-    if (key && req.params && isString(value)) {
-      const before = req.params[key];
-      req.params[key] = sanitizeString(value, opts, true);
-      log(opts.debug, 'debug', 'PARAM', `Sanitized param '${key}'`, { before, after: req.params[key] });
-    }
-    next();
+const getDepth = (context) => context.depth + (context.scope == null ? 1 : 0);
+
+/**
+ * Marker returned for values dropped by a limit; callers omit it from the parent object or array.
+ * @constant {symbol}
+ */
+const DROPPED = Symbol('dropped');
+
+/**
+ * Containers marked with `trusted()`: built by application code, so they are never sanitized.
+ * @constant {WeakSet<Object>}
+ */
+const TRUSTED = new WeakSet();
+
+/**
+ * Formats path segments as a JSON path (e.g. `body.items[0].$where`).
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string} Formatted path
+ */
+const formatPath = (path) =>
+  path.reduce((acc, segment) => {
+    if (typeof segment === 'number') return `${acc}[${segment}]`;
+    return acc ? `${acc}.${segment}` : segment;
+  }, '');
+
+/**
+ * Matches any array index in a compiled path rule (`[]`).
+ * @constant {symbol}
+ */
+const ANY_INDEX = Symbol('anyIndex');
+
+/**
+ * Checks whether a key is a path rule rather than a bare key name.
+ * @param {string} key - Entry from `allowedKeys` or `deniedKeys`
+ * @returns {boolean} True if the entry uses dot, bracket or wildcard syntax
+ */
+const isPathRule = (key) => /[.[*]/.test(key);
+
+/**
+ * Parses a dot/bracket path rule (e.g. `body.user.*.email`, `body.items[].price`) into tokens.
+ * `*` matches any single segment, `**` any number of segments, `[]` any array index and `[n]` index n.
+ * @param {string} rule - Path rule
+ * @returns {Array<string|number|symbol>} Compiled tokens
+ * @throws {ExpressMongoSanitizeError} If the rule is malformed
+ */
+const compilePathRule = (rule) =>
+  rule.split('.').flatMap((part) => {
+    const match = /^([^[\]]*)((?:\[\d*\])*)$/.exec(part);
+    if (!match || (!match[1] && !match[2])) {
+      throw new ExpressMongoSanitizeError(`Invalid path rule: "${rule}"`, 'type_error');
+    }
+    const indices = [...match[2].matchAll(/\[(\d*)\]/g)].map(([, index]) => (index ? Number(index) : ANY_INDEX));
+    return match[1] ? [match[1], ...indices] : indices;
+  });
+
+/**
+ * Matches a single rule token against a path segment.
+ * @param {string|number|symbol} token - Compiled rule token
+ * @param {string|number} segment - Object key or array index
+ * @returns {boolean} True if the token matches the segment
+ */
+const matchToken = (token, segment) => {
+  if (token === '*') return true;
+  if (token === ANY_INDEX) return typeof segment === 'number';
+  return token === segment;
+};
+
+/**
+ * Matches a compiled path rule against path segments.
+ * @param {Array<string|number|symbol>} tokens - Compiled rule tokens
+ * @param {Array<string|number>} path - Path segments
+ * @param {Object} [matchOptions={}] - Matching options
+ * @param {boolean} [matchOptions.descendants=false] - Also match paths below a matching path
+ * @param {boolean} [matchOptions.ancestors=false] - Also match paths leading to a matching path
+ * @returns {boolean} True if the rule matches
+ */
+const matchPathRule = (tokens, path, { descendants = false, ancestors = false } = {}) => {
+  const match = (t, p) => {
+    if (t === tokens.length) return p === path.length || descendants;
+    if (tokens[t] === '**') return match(t + 1, p) || (p < path.length && match(t, p + 1));
+    if (p === path.length) return ancestors;
+    return matchToken(tokens[t], path[p]) && match(t + 1, p + 1);
+  };
+  return match(0, 0);
+};
+
+/**
+ * Splits `allowedKeys`/`deniedKeys` entries into bare key names and compiled path rules.
+ * @param {string[]|null} keys - Configured entries
+ * @returns {{keys: Set<string>, paths: Array<Array<string|number|symbol>>}} Bare keys and compiled rules
+ */
+const compileKeyRules = (keys) => {
+  const entries = keys || [];
+  return {
+    keys: new Set(entries.filter((key) => !isPathRule(key))),
+    paths: entries.filter(isPathRule).map(compilePathRule),
+  };
+};
+
+/**
+ * Checks whether a key passes the `allowedKeys` filter.
+ * Bare keys apply at every depth; path rules only apply within the request object they name
+ * and also admit the ancestors and descendants of a matching path.
+ * @param {string} key - Object key
+ * @param {Object} context - Sanitization context of the key
+ * @param {Object} options - Sanitization options
+ * @returns {boolean} True if the key is allowed
+ */
+const isKeyAllowed = (key, context, options) => {
+  const { allowedKeys, allowedPaths } = options;
+  if (allowedKeys.has(key)) return true;
+  const rules =
+    context.scope == null
+      ? allowedPaths
+      : allowedPaths.filter((rule) => rule[0] === '**' || matchToken(rule[0], context.scope));
+  if (!allowedKeys.size && !rules.length) return true;
+  return rules.some((rule) => matchPathRule(rule, getPath(context), { descendants: true, ancestors: true }));
+};
+
+/**
+ * Checks whether a key is removed by the `deniedKeys` filter.
+ * @param {string} key - Object key
+ * @param {Object} context - Sanitization context of the key
+ * @param {Object} options - Sanitization options
+ * @returns {boolean} True if the key is denied
+ */
+const isKeyDenied = (key, context, options) =>
+  options.deniedKeys.has(key) || options.deniedPaths.some((rule) => matchPathRule(rule, getPath(context)));
+
+/**
+ * Compiles a `preserve` list into named predicates taking a string and its sanitization context.
+ * Custom predicates are called with the string and its formatted path (e.g. 'body.user.website').
+ * @param {Array<string|Function>} preserve - Built-in format names or custom predicates
+ * @returns {Array<{name: string, test: function(string, Object): boolean}>} Compiled preservation rules
+ */
+const compilePreserve = (preserve) =>
+  preserve.map((entry) =>
+    isFunction(entry)
+      ? { name: entry.name || 'custom', test: (str, context) => entry(str, formatPath(getPath(context))) }
+      : { name: entry, test: PRESERVE_FORMATS[entry] }
+  );
+
+/**
+ * Returns the name of the first preservation rule matching a string.
+ * @param {string} str - String to check
+ * @param {Array<{name: string, test: Function}>} preserve - Compiled preservation rules
+ * @param {Object} context - Sanitization context of the string
+ * @returns {string|null} Name of the matching rule, or null if the string is not preserved
+ */
+const findPreserved = (str, preserve, context) => {
+  for (const { name, test } of preserve) {
+    if (test(str, context)) return name;
+  }
+  return null;
+};
+
+/**
+ * Compiles `exemptPaths` and `fieldRules` into rules ordered from most to least specific.
+ * `exemptPaths` entries are shorthand for `{ sanitizeValues: false }`.
+ * @param {string[]} exemptPaths - Paths whose values are not sanitized
+ * @param {Object<string, Object>} fieldRules - Per-path rules
+ * @returns {Array<{tokens: Array, sanitizeValues: boolean, matcher: Object|null, preserve: Array|null}>} Compiled field rules
+ */
+const compileFieldRules = (exemptPaths, fieldRules) =>
+  [...exemptPaths.map((path) => [path, { sanitizeValues: false }]), ...Object.entries(fieldRules)]
+    .map(([path, rule]) => ({
+      tokens: compilePathRule(path),
+      sanitizeValues: rule.sanitizeValues !== false,
+      matcher: rule.patterns ? compileMatcher(rule.patterns) : null,
+      preserve: rule.preserve ? compilePreserve(rule.preserve) : null,
+    }))
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+
+/**
+ * Returns the matcher and preservation rules to apply to a value, honoring the most specific matching field rule.
+ * Field rules only affect values; keys are always sanitized with the global matcher and preservation rules.
+ * @param {Object} context - Sanitization context of the value
+ * @param {Object} options - Sanitization options
+ * @returns {{matcher: Object|null, preserve: Array}} Compiled matcher (null if the value is exempt) and preservation rules
+ */
+const getValueRules = (context, options) => {
+  const { fieldRules, matcher, preserve } = options;
+  const rule = fieldRules.length
+    ? fieldRules.find(({ tokens }) => matchPathRule(tokens, getPath(context), { descendants: true }))
+    : null;
+  if (!rule) return { matcher, preserve };
+  return { matcher: rule.sanitizeValues ? rule.matcher || matcher : null, preserve: rule.preserve || preserve };
+};
+
+/**
+ * Types accepted by `schema` rules: how a value is recognized and how a mismatching value is coerced.
+ * 'scalar' accepts any non-container value (strings, numbers, booleans, dates and safe BSON values) and 'any'
+ * disables the check. `coerce` returns DROPPED when the value cannot be converted; objects and arrays never
+ * become scalars.
+ * @constant {Object<string, {matches: Function, coerce: Function}>}
+ */
+const SCHEMA_TYPES = Object.freeze({
+  string: {
+    matches: isString,
+    coerce: (value) =>
+      (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean' ? String(value) : DROPPED,
+  },
+  number: {
+    matches: (value) => typeof value === 'number' && Number.isFinite(value),
+    coerce: (value) => (isString(value) && value.trim() && Number.isFinite(Number(value)) ? Number(value) : DROPPED),
+  },
+  boolean: {
+    matches: (value) => typeof value === 'boolean',
+    coerce: (value) => {
+      if (value === 'true' || value === '1' || value === 1) return true;
+      if (value === 'false' || value === '0' || value === 0) return false;
+      return DROPPED;
+    },
+  },
+  scalar: {
+    matches: (value) => isString(value) || isPrimitive(value) || isDate(value) || isSafeBsonValue(value),
+    coerce: () => DROPPED,
+  },
+  object: {
+    matches: isPlainObject,
+    coerce: () => DROPPED,
+  },
+  array: {
+    matches: isArray,
+    coerce: (value) => (getContainerType(value) ? DROPPED : [value]),
+  },
+  any: {
+    matches: () => true,
+    coerce: () => DROPPED,
+  },
+});
+
+/**
+ * Compiles `schema` into path rules ordered from most to least specific.
+ * @param {Object<string, string|Object>} schema - Expected type per path
+ * @returns {Array<{tokens: Array, type: string, action: string}>} Compiled schema rules
+ */
+const compileSchema = (schema) =>
+  Object.entries(schema)
+    .map(([path, rule]) => ({
+      tokens: compilePathRule(path),
+      type: isString(rule) ? rule : rule.type,
+      action: (!isString(rule) && rule.action) || 'coerce',
+    }))
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+
+/**
+ * Enforces the `schema` rule matching a value's path. Mismatching values are coerced when possible
+ * (e.g. '42' for a number, a single value for an array), otherwise removed and reported, or rejected with
+ * a 400 error for rules with `action: 'reject'` ('monitor' mode only logs). Null and undefined always pass.
+ * @param {*} value - Value to check
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the value
+ * @returns {*} The value, its coerced form, or DROPPED
+ * @throws {ExpressMongoSanitizeError} If a rejecting rule does not match
+ */
+const applySchema = (value, options, context) => {
+  if (value == null) return value;
+  const path = getPath(context);
+  const rule = options.schema.find(({ tokens }) => matchPathRule(tokens, path));
+  if (!rule) return value;
+  const { matches, coerce } = SCHEMA_TYPES[rule.type];
+  if (matches(value)) return value;
+  const coerced = rule.action === 'coerce' ? coerce(value) : DROPPED;
+  const message = `Expected ${rule.type} at '${formatPath(path)}'`;
+  if (coerced !== DROPPED) {
+    log(options.debug, 'debug', 'SCHEMA', `${message}, coerced`, { before: value, after: coerced }, path);
+    return coerced;
+  }
+  if (rule.action === 'reject' && options.mode !== 'monitor') throw createHttpError(message, 'invalid_type', 400);
+  log(options.debug, 'warn', 'SCHEMA', `${message}, removed`);
+  addFinding(context, { type: 'value', action: 'removed', patterns: [], before: value, after: undefined });
+  return DROPPED;
+};
+
+/**
+ * Compiles `allowedOperators` into path rules with operator sets, ordered from most to least specific.
+ * @param {Object<string, string[]|Object>} allowedOperators - Operators allowed per path
+ * @returns {Array<{tokens: Array, operators: Set<string>, action: string, maxRegexLength: ?number, regex: string}>}
+ *   Compiled operator rules
+ */
+const compileOperatorRules = (allowedOperators) =>
+  Object.entries(allowedOperators)
+    .map(([path, rule]) => ({
+      tokens: compilePathRule(path),
+      operators: new Set(isArray(rule) ? rule : rule.operators),
+      action: (!isArray(rule) && rule.action) || 'remove',
+      maxRegexLength: isArray(rule) ? null : (rule.maxRegexLength ?? null),
+      regex: (!isArray(rule) && rule.regex) || 'check',
+    }))
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+
+/**
+ * Finds the most specific `allowedOperators` rule covering the keys of an object.
+ * @param {Object} context - Sanitization context of the object holding the keys
+ * @param {Object} options - Sanitization options
+ * @returns {Object|undefined} Compiled operator rule
+ */
+const getOperatorRule = (context, options) => {
+  const path = getPath(context);
+  return options.allowedOperators.find(({ tokens }) => matchPathRule(tokens, path, { descendants: true }));
+};
+
+/**
+ * Checks whether an operator key is allowed by the `allowedOperators` rule covering its position.
+ * A rule allows its operators anywhere under the path it names, unless a more specific rule covers the position:
+ * only the most specific rule applies. Dotted keys are never allowed.
+ * @param {string} key - Object key starting with `$`
+ * @param {Object|undefined} rule - Most specific operator rule covering the key (see getOperatorRule)
+ * @returns {boolean} True if the operator is allowed
+ */
+const isOperatorAllowed = (key, rule) => !key.includes('.') && !!rule?.operators.has(key);
+
+/**
+ * Escapes a string for literal use in a regular expression or a `$regex` value.
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ * @throws {ExpressMongoSanitizeError} If the value is not a string
+ */
+const escapeRegex = (value) => {
+  if (!isString(value)) throw new ExpressMongoSanitizeError('escapeRegex() expects a string', 'type_error');
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Finds a construct prone to catastrophic backtracking in a pattern: a repeated group containing a quantifier
+ * (`(a+)+`, `(\d*){2,}`, `((ab)+c)*`) or an alternation (`(a|aa)+`, `(\w|\d)*`). Escapes and character classes are
+ * skipped, and only quantifiers allowing at most one occurrence (`?`, `{1}`, `{0,1}`) do not count as repetition:
+ * `(a+){12}` backtracks as badly as `(a+)+`. This is a heuristic, not a full regex parser: repeated alternations
+ * are refused even when their branches cannot overlap (`(cat|dog)+`).
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Description of the risky construct, or null
+ */
+const getRegexRisk = (pattern) => {
+  // One entry per open group: whether it contains a repeated token and whether it contains an alternation.
+  const groups = [{ repeated: false, alternation: false }];
+  let closedGroup = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const repeatsGroup = closedGroup;
+    closedGroup = null;
+    const group = groups[groups.length - 1];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      i++;
+      if (pattern[i] === '^') i++;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+    } else if (char === '(') {
+      groups.push({ repeated: false, alternation: false });
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      groups[groups.length - 1].repeated ||= closedGroup.repeated;
+      groups[groups.length - 1].alternation ||= closedGroup.alternation;
+    } else if (char === '|') {
+      group.alternation = true;
+    } else {
+      const range = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i)) : null;
+      // `{n}` and `{n,m}` repeat like `+` unless they allow at most one occurrence (`{1}`, `{0,1}`).
+      const upper = range && (range[2] ? range[3] && Number(range[3]) : Number(range[1]));
+      if (char !== '*' && char !== '+' && !(range && (upper === '' || upper > 1))) {
+        if (range) i += range[0].length - 1;
+        continue;
+      }
+      if (repeatsGroup?.repeated) return `nested quantifier at position ${i}`;
+      if (repeatsGroup?.alternation) return `repeated alternation at position ${i}`;
+      group.repeated = true;
+      if (range) i += range[0].length - 1;
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the source of a `$regex` value: a string, a RegExp or a BSON regular expression.
+ * @param {*} value - `$regex` value
+ * @returns {string|null} Pattern source, or null for other values
+ */
+const getRegexSource = (value) => {
+  if (isString(value)) return value;
+  if (value instanceof RegExp) return value.source;
+  if (value && !isPlainObject(value) && value._bsontype === 'BSONRegExp' && isString(value.pattern)) {
+    return value.pattern;
+  }
+  return null;
+};
+
+/**
+ * Checks whether a pattern is safe to run: not longer than `maxLength` and free of nested quantifiers.
+ * @param {string|RegExp} pattern - Pattern or regular expression source (e.g. a `$regex` value)
+ * @param {Object} [options={}] - Check options
+ * @param {?number} [options.maxLength=MAX_SAFE_REGEX_LENGTH] - Maximum pattern length, null for no limit
+ * @returns {boolean} True if the pattern is considered safe
+ */
+const isSafeRegex = (pattern, { maxLength = MAX_SAFE_REGEX_LENGTH } = {}) => {
+  const source = getRegexSource(pattern);
+  if (source === null) return false;
+  return (maxLength == null || source.length <= maxLength) && !getRegexRisk(source);
+};
+
+/**
+ * Checks an operator or dotted key and returns the value to keep under it. Refused keys (not allowed, a `$regex`
+ * longer than the rule's `maxRegexLength`, or one prone to catastrophic backtracking) are removed and reported, or
+ * rejected with a 400 error under a rule with `action: 'reject'` ('monitor' mode only reports them). `$regex`
+ * strings under a rule with `regex: 'escape'` are escaped to match literally instead of being checked; RegExp and
+ * BSON regular expression values are always checked, by their source.
+ * @param {string} key - Key matching OPERATOR_KEY_PATTERNS
+ * @param {*} value - Value of the key
+ * @param {RegExp[]} patterns - Operator key patterns the key matches
+ * @param {Object} context - Sanitization context of the object holding the key
+ * @param {Object} keyContext - Sanitization context of the key
+ * @param {Object} options - Sanitization options
+ * @returns {*} Value to keep, or DROPPED if the key is removed
+ * @throws {ExpressMongoSanitizeError} If the key is refused under a rule with `action: 'reject'`
+ */
+const checkOperator = (key, value, patterns, context, keyContext, options) => {
+  const rule = getOperatorRule(context, options);
+  const path = formatPath(getPath(keyContext));
+  const source = key === '$regex' && rule ? getRegexSource(value) : null;
+  let reason = null;
+  if (!isOperatorAllowed(key, rule)) {
+    reason = 'operator or dotted path';
+  } else if (source !== null) {
+    if (rule.maxRegexLength != null && source.length > rule.maxRegexLength) {
+      reason = `$regex longer than ${rule.maxRegexLength} characters`;
+    } else if (rule.regex === 'escape' && isString(value)) {
+      log(options.debug, 'debug', 'OBJECT', `$regex at '${path}' escaped`);
+      return escapeRegex(value);
+    } else {
+      const risk = getRegexRisk(source);
+      if (risk) reason = `unsafe $regex, ${risk}`;
+    }
+  }
+  if (!reason) return value;
+  if (rule?.action === 'reject' && options.mode !== 'monitor') {
+    throw createHttpError(`Operator not allowed at '${path}' (${reason})`, 'operator_not_allowed', 400);
+  }
+  log(options.debug, 'debug', 'OBJECT', `Key '${path}' removed (${reason})`);
+  addFinding(keyContext, { type: 'key', action: 'removed', patterns, before: key, after: undefined });
+  return DROPPED;
+};
+
+/**
+ * Defines an own enumerable property without going through setters such as `__proto__`.
+ * Plain assignment is only used for keys that do not exist anywhere on the prototype chain.
+ * @param {Object} obj - Target object
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {Object} The target object
+ */
+const defineValue = (obj, key, value) => {
+  if (key in obj)
+    return Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  obj[key] = value;
+  return obj;
+};
+
+/**
+ * Records a finding on the context's report, if any.
+ * @param {Object} context - Sanitization context
+ * @param {Object} finding - Finding details
+ * @param {'key'|'value'} finding.type - Whether the key or the value matched
+ * @param {'replaced'|'removed'} finding.action - What happened to the matched data
+ * @param {RegExp[]} finding.patterns - Patterns that matched
+ * @param {*} finding.before - Original key or value
+ * @param {*} finding.after - Sanitized key or value (undefined when removed)
+ */
+const addFinding = (context, { type, action, patterns, before, after }) => {
+  if (!context.report) return;
+  context.report.sanitized = true;
+  context.report.findings.push({
+    path: formatPath(getPath(context)),
+    type,
+    action,
+    patterns: patterns.map(String),
+    before,
+    after,
+  });
+};
+
+/**
+ * Handles an exceeded limit according to `limitOptions.action`.
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context where the limit was exceeded
+ * @param {string} message - Description of the exceeded limit
+ * @param {string} [outcome='truncating'] - What happens to the data when the limit is not rejected, for the log
+ * @throws {ExpressMongoSanitizeError} If the action is 'reject'
+ */
+const exceedLimit = (options, context, message, outcome = 'truncating') => {
+  const fullMessage = `${message} at '${formatPath(getPath(context)) || '<root>'}'`;
+  if (options.mode === 'monitor') {
+    log(options.debug, 'warn', 'LIMIT', `${fullMessage} (monitor mode, request left untouched)`);
+    return;
+  }
+  if (options.limitOptions.action === 'reject') throw createHttpError(fullMessage, 'limit_exceeded', 413);
+  log(options.debug, 'warn', 'LIMIT', `${fullMessage}, ${outcome}`);
+};
+
+/**
+ * Truncates a string to `limitOptions.maxStringLength`.
+ * @param {string} str - String to check
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the string
+ * @returns {string} The string, truncated if it was too long
+ */
+const limitString = (str, options, context) => {
+  const { maxStringLength } = options.limitOptions;
+  if (maxStringLength == null || str.length <= maxStringLength) return str;
+  exceedLimit(options, context, `Maximum string length of ${maxStringLength} exceeded`);
+  return str.slice(0, maxStringLength);
+};
+
+/**
+ * Sanitizes a string by removing or replacing dangerous patterns. Length limits are applied by the callers, since
+ * over-long keys are removed rather than truncated (see sanitizeEntries).
+ * @param {string} str - String to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {boolean} [isValue=false] - Whether this is a value (affects length limits)
+ * @param {Object} [context=ROOT_CONTEXT] - Sanitization context for reporting
+ * @returns {string} Sanitized string
+ */
+const sanitizeString = (str, options, isValue = false, context = ROOT_CONTEXT) => {
+  const { debug } = options;
+  if (!isString(str)) {
+    log(debug, 'trace', 'STRING', `Skipping: not a string`, { value: str }, getPath(context));
+    return str;
+  }
+  const { matcher, preserve } = isValue ? getValueRules(context, options) : options;
+  if (!matcher?.patterns.length) {
+    log(debug, 'trace', 'STRING', `Skipping: no patterns for ${formatPath(getPath(context))}`);
+    return str;
+  }
+  const { replaceWith, stringOptions } = options;
+  const matched = matcher.test(str);
+  if (!matched && !stringOptions.trim && !stringOptions.lowercase && !(isValue && stringOptions.maxLength)) return str;
+  const format = findPreserved(str, preserve, context);
+  if (format) {
+    log(debug, 'trace', 'STRING', `Preserved ${format} at '${formatPath(getPath(context))}'`);
+    return str;
+  }
+  const original = str;
+  let result = matched ? matcher.replace(str, replaceWith) : str;
+  if (stringOptions.trim) result = result.trim();
+  if (stringOptions.lowercase) result = result.toLowerCase();
+  if (stringOptions.maxLength && isValue) result = result.slice(0, stringOptions.maxLength);
+  if (original !== result) {
+    log(
+      debug,
+      'debug',
+      'STRING',
+      `Sanitized string at '${formatPath(getPath(context))}'`,
+      { original, result },
+      getPath(context)
+    );
+  }
+  if (matched && context.report) {
+    addFinding(context, {
+      type: 'value',
+      action: 'replaced',
+      patterns: matcher.match(original),
+      before: original,
+      after: result,
+    });
+  }
+  return result;
+};
+
+/**
+ * Sanitizes an array by processing each element and applying array-specific options.
+ * @param {Array} arr - Array to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object} [context=createContext(null)] - Sanitization context for reporting
+ * @returns {Array} Sanitized array
+ * @throws {ExpressMongoSanitizeError} If input is not an array
+ */
+const sanitizeArray = (arr, options, context = createContext(null)) => {
+  const { debug } = options;
+  if (!isArray(arr)) {
+    log(debug, 'error', 'ARRAY', `Input is not array`, { value: arr }, getPath(context));
+    throw new ExpressMongoSanitizeError('Input must be an array', 'type_error');
+  }
+  log(debug, 'trace', 'ARRAY', `Sanitizing array of length ${arr.length}`);
+  const { maxArrayLength } = options.limitOptions;
+  if (maxArrayLength != null && arr.length > maxArrayLength) {
+    exceedLimit(options, context, `Maximum array length of ${maxArrayLength} exceeded`);
+    arr = arr.slice(0, maxArrayLength);
+  }
+  let result = arr
+    .map((item, index) => sanitizeValue(item, options, true, childContext(context, index)))
+    .filter((item) => item !== DROPPED);
+  if (options.arrayOptions.filterNull) {
+    const before = result.length;
+    result = result.filter((item) => item != null);
+    log(debug, 'debug', 'ARRAY', `Filtered nulls: ${before} → ${result.length}`);
+  }
+  if (options.arrayOptions.distinct) {
+    const before = result.length;
+    result = [...new Set(result)];
+    log(debug, 'debug', 'ARRAY', `Removed duplicates: ${before} → ${result.length}`);
+  }
+  return result;
+};
+
+/**
+ * Sanitizes the keys and values of an object or Map according to configuration, passing each kept entry to `write`.
+ * Keys that are not strings (Map keys only) are kept as they are and only their values are sanitized.
+ * @param {Array<Array>} entries - Key/value pairs
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the object or Map
+ * @param {Function} write - Receives each sanitized `(key, value)` pair that is kept
+ */
+const sanitizeEntries = (entries, options, context, write) => {
+  const { debug, removeEmpty, removeMatches, matcher } = options;
+  const { maxKeys, maxStringLength } = options.limitOptions;
+  if (maxKeys != null && entries.length > maxKeys) {
+    exceedLimit(options, context, `Maximum of ${maxKeys} keys exceeded`);
+    entries = entries.slice(0, maxKeys);
+  }
+  entries.forEach(([key, val]) => {
+    if (!isString(key)) {
+      const sanitizedValue = sanitizeValue(val, options, true, childContext(context, String(key)));
+      if (sanitizedValue !== DROPPED && (!removeEmpty || sanitizedValue)) write(key, sanitizedValue);
+      return;
+    }
+    const keyContext = childContext(context, key);
+    // Truncating keys could merge distinct ones (`roleX` and `roleY`), so over-long keys are removed instead.
+    if (maxStringLength != null && key.length > maxStringLength) {
+      exceedLimit(options, keyContext, `Maximum key length of ${maxStringLength} exceeded`, 'removing the key');
+      if (options.mode !== 'monitor') {
+        addFinding(keyContext, { type: 'key', action: 'removed', patterns: [], before: key, after: undefined });
+        return;
+      }
+    }
+    if (testPattern(PROTOTYPE_KEY_PATTERN, key)) {
+      log(debug, 'warn', 'OBJECT', `Key '${formatPath(getPath(keyContext))}' removed (prototype pollution)`);
+      addFinding(keyContext, {
+        type: 'key',
+        action: 'removed',
+        patterns: [PROTOTYPE_KEY_PATTERN],
+        before: key,
+        after: undefined,
+      });
+      return;
+    }
+    if (!isKeyAllowed(key, keyContext, options) || isKeyDenied(key, keyContext, options)) {
+      log(debug, 'debug', 'OBJECT', `Key '${formatPath(getPath(keyContext))}' removed (allowed/denied filter)`);
+      return;
+    }
+    // With the 'patterns' strategy, operators under an `allowedOperators` path are handled as with 'operators'.
+    const operatorScope =
+      options.strategy !== 'operators' && key[0] === '$' && options.allowedOperators.length
+        ? getOperatorRule(context, options)
+        : null;
+    if (options.strategy === 'operators' || operatorScope) {
+      const operatorPatterns = OPERATOR_KEY_MATCHER.match(key);
+      const checkedValue = operatorPatterns.length
+        ? checkOperator(key, val, operatorPatterns, context, keyContext, options)
+        : val;
+      if (checkedValue === DROPPED) return;
+      const operatorOptions = operatorScope ? { ...options, strategy: 'operators' } : options;
+      const operatorValue = sanitizeValue(checkedValue, operatorOptions, true, keyContext);
+      if (operatorValue !== DROPPED && (!removeEmpty || operatorValue)) write(key, operatorValue);
+      return;
+    }
+    const sanitizedKey = sanitizeString(key, options, false, { ...keyContext, report: null });
+    const keyPatterns = removeMatches || context.report ? matcher.match(key) : [];
+    if (removeMatches && keyPatterns.length) {
+      log(debug, 'debug', 'OBJECT', `Key '${key}' matches removal pattern`);
+      addFinding(keyContext, { type: 'key', action: 'removed', patterns: keyPatterns, before: key, after: undefined });
+      return;
+    }
+    if (sanitizedKey !== key && keyPatterns.length) {
+      addFinding(keyContext, {
+        type: 'key',
+        action: 'replaced',
+        patterns: keyPatterns,
+        before: key,
+        after: sanitizedKey,
+      });
+    }
+    if (removeEmpty && !sanitizedKey) {
+      log(debug, 'debug', 'OBJECT', `Key '${key}' removed (empty after sanitize)`);
+      return;
+    }
+    if (testPattern(PROTOTYPE_KEY_PATTERN, sanitizedKey)) {
+      log(debug, 'warn', 'OBJECT', `Key '${key}' removed (prototype key after sanitize)`);
+      addFinding(keyContext, {
+        type: 'key',
+        action: 'removed',
+        patterns: [PROTOTYPE_KEY_PATTERN],
+        before: key,
+        after: undefined,
+      });
+      return;
+    }
+    if (removeMatches && isString(val)) {
+      const valuePatterns = getValueRules(keyContext, options).matcher?.match(val) || [];
+      if (valuePatterns.length) {
+        log(debug, 'debug', 'OBJECT', `Value for key '${key}' matches removal pattern`);
+        addFinding(keyContext, {
+          type: 'value',
+          action: 'removed',
+          patterns: valuePatterns,
+          before: val,
+          after: undefined,
+        });
+        return;
+      }
+    }
+    const sanitizedValue = sanitizeValue(val, options, true, keyContext);
+    if (sanitizedValue !== DROPPED && (!removeEmpty || sanitizedValue)) write(sanitizedKey, sanitizedValue);
+    return;
+  });
+};
+
+/**
+ * Sanitizes an object by processing keys and values according to configuration.
+ * @param {Object} obj - Object to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object} [context=createContext(null)] - Sanitization context for reporting
+ * @returns {Object} Sanitized object
+ * @throws {ExpressMongoSanitizeError} If input is not an object
+ */
+const sanitizeObject = (obj, options, context = createContext(null)) => {
+  const { debug } = options;
+  if (!isPlainObject(obj)) {
+    log(debug, 'error', 'OBJECT', `Input is not object`, { value: obj }, getPath(context));
+    throw new ExpressMongoSanitizeError('Input must be an object', 'type_error');
+  }
+  if (debug?.enabled) log(debug, 'trace', 'OBJECT', `Sanitizing object with keys: ${Object.keys(obj)}`);
+  const result = {};
+  sanitizeEntries(Object.entries(obj), options, context, (key, value) => defineValue(result, key, value));
+  return result;
+};
+
+/**
+ * Sanitizes a Map into a new Map: string keys like object keys, values like object values.
+ * @param {Map} map - Map to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the Map
+ * @returns {Map} Sanitized Map
+ */
+const sanitizeMap = (map, options, context) => {
+  log(options.debug, 'trace', 'MAP', `Sanitizing Map of size ${map.size}`);
+  const result = new Map();
+  sanitizeEntries([...map], options, context, (key, value) => result.set(key, value));
+  return result;
+};
+
+/**
+ * Sanitizes a Set into a new Set, handling its entries like array items (including `arrayOptions`).
+ * @param {Set} set - Set to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the Set
+ * @returns {Set} Sanitized Set
+ */
+const sanitizeSet = (set, options, context) => new Set(sanitizeArray([...set], options, context));
+
+/**
+ * Sanitizes the own enumerable properties of a class instance. The instance itself is returned when nothing
+ * changed, otherwise a copy with the same prototype (private fields and internal state are not copied).
+ * @param {Object} instance - Class instance to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the instance
+ * @returns {Object} The instance or its sanitized copy
+ */
+const sanitizeInstance = (instance, options, context) => {
+  log(options.debug, 'trace', 'OBJECT', `Sanitizing ${instance.constructor?.name || 'class'} instance`);
+  const entries = Object.entries(instance);
+  const result = Object.create(Object.getPrototypeOf(instance));
+  let changed = false;
+  let written = 0;
+  sanitizeEntries(entries, options, context, (key, value) => {
+    if (!Object.hasOwn(instance, key) || instance[key] !== value) changed = true;
+    written++;
+    defineValue(result, key, value);
+  });
+  return changed || written !== entries.length ? result : instance;
+};
+
+/**
+ * Sanitizers of each container type (see getContainerType).
+ * @constant {Object<string, Function>}
+ */
+const CONTAINER_SANITIZERS = Object.freeze({
+  array: sanitizeArray,
+  object: sanitizeObject,
+  map: sanitizeMap,
+  set: sanitizeSet,
+  instance: sanitizeInstance,
+});
+
+/**
+ * Sanitizes a container after enforcing recursion, depth and cycle limits.
+ * @param {Object|Array|Map|Set} value - Container to sanitize
+ * @param {string} type - Container type (see getContainerType)
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the container
+ * @returns {*} Sanitized container, the untouched value when not recursing, or DROPPED
+ */
+const sanitizeContainer = (value, type, options, context) => {
+  const depth = getDepth(context);
+  if (!options.recursive && depth > 1) return value;
+  if (context.ancestors.has(value)) {
+    exceedLimit(options, context, 'Circular reference');
+    return DROPPED;
+  }
+  const { maxDepth } = options.limitOptions;
+  if (maxDepth != null && depth > maxDepth) {
+    exceedLimit(options, context, `Maximum depth of ${maxDepth} exceeded`);
+    return DROPPED;
+  }
+  context.ancestors.add(value);
+  try {
+    return CONTAINER_SANITIZERS[type](value, options, context);
+  } finally {
+    context.ancestors.delete(value);
+  }
+};
+
+/**
+ * Main sanitization function that routes values to appropriate sanitizers.
+ * @param {*} value - Value to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {boolean} [isValue=false] - Whether this is a value context
+ * @param {Object} [context] - Sanitization context for reporting, limits and cycle detection
+ * @returns {*} Sanitized value, or DROPPED if a limit removed it
+ */
+const sanitizeValue = (value, options, isValue = false, context = createContext(null)) => {
+  if (options.schema.length && context.parent) {
+    value = applySchema(value, options, context);
+    if (value === DROPPED) return DROPPED;
+  }
+  if (!value || isPrimitive(value) || isDate(value)) return value;
+  const containerType = getContainerType(value);
+  if (containerType) return TRUSTED.has(value) ? value : sanitizeContainer(value, containerType, options, context);
+  if (!isString(value)) return value;
+  if (options.strategy === 'operators') return limitString(value, options, context);
+  return sanitizeString(limitString(value, options, context), options, isValue, context);
+};
+
+/**
+ * Option paths already reported as unknown, so each warning is only emitted once per process.
+ * @type {Set<string>}
+ */
+const warnedOptions = new Set();
+
+/**
+ * Emits a process warning for an option the sanitizer does not know about (usually a typo).
+ * @param {string} path - Option path (e.g. 'stringOptions.trimm')
+ */
+const warnUnknownOption = (path) => {
+  if (warnedOptions.has(path)) return;
+  warnedOptions.add(path);
+  process.emitWarning(`Unknown option "${path}" is ignored`, {
+    type: 'ExpressMongoSanitizeWarning',
+    code: 'EXPRESS_MONGO_SANITIZE_UNKNOWN_OPTION',
+  });
+};
+
+/**
+ * Describes a value for configuration error messages.
+ * @param {*} value - Value to describe
+ * @returns {string} Short description
+ */
+const describeValue = (value) => {
+  if (isString(value)) return JSON.stringify(value);
+  if (value === null || typeof value !== 'object') return isFunction(value) ? 'a function' : String(value);
+  if (isArray(value)) return 'an array';
+  return value instanceof RegExp ? String(value) : 'an object';
+};
+
+/**
+ * Creates the error thrown for an invalid option.
+ * @param {string} path - Option path (e.g. 'limitOptions.maxDepth')
+ * @param {string} expected - Description of the accepted values
+ * @param {*} value - Received value
+ * @returns {ExpressMongoSanitizeError} Error of type 'type_error' with the option path in `option`
+ */
+const invalidOption = (path, expected, value) => {
+  const error = new ExpressMongoSanitizeError(
+    `Invalid configuration: "${path}" must be ${expected}, received ${describeValue(value)}`,
+    'type_error'
+  );
+  error.option = path;
+  return error;
+};
+
+/**
+ * Creates an option validator from a predicate.
+ * @param {string} expected - Description of the accepted values
+ * @param {function(*): boolean} check - Predicate accepting valid values
+ * @returns {function(*, string): void} Validator throwing for invalid values
+ */
+const optionRule = (expected, check) => (value, path) => {
+  if (!check(value)) throw invalidOption(path, expected, value);
+};
+
+/**
+ * Creates a validator accepting one of the given values.
+ * @param {Array} values - Accepted values
+ * @returns {function(*, string): void} Validator
+ */
+const oneOf = (values) =>
+  optionRule(`one of ${values.map((value) => JSON.stringify(value)).join(', ')}`, (value) => values.includes(value));
+
+/**
+ * Creates a validator for arrays whose elements all pass a predicate; element errors point at the offending index.
+ * @param {string} expected - Description of a valid element
+ * @param {function(*): boolean} check - Predicate accepting valid elements
+ * @returns {function(*, string): void} Validator
+ */
+const listOf = (expected, check) => (value, path) => {
+  if (!isArray(value)) throw invalidOption(path, 'an array', value);
+  value.forEach((item, index) => {
+    if (!check(item)) throw invalidOption(`${path}[${index}]`, expected, item);
+  });
+};
+
+/**
+ * Wraps a validator so it also accepts null.
+ * @param {function(*, string): void} validate - Validator for non-null values
+ * @returns {function(*, string): void} Validator
+ */
+const nullable = (validate) => (value, path) => {
+  if (value !== null) validate(value, path);
+};
+
+/**
+ * Creates a validator for objects mapping arbitrary keys (e.g. paths) to values matching a schema.
+ * @param {Object|Function} schema - Schema or validator for each value
+ * @returns {function(*, string): void} Validator
+ */
+const mapOf = (schema) => (value, path) => {
+  if (!isPlainObject(value)) throw invalidOption(path, 'an object', value);
+  Object.entries(value).forEach(([key, entry]) => validateSchema(schema, entry, `${path}[${JSON.stringify(key)}]`));
+};
+
+/**
+ * Validates a value against a schema: a validator function, or an object of nested schemas.
+ * Keys missing from an object schema are reported as unknown; undefined values are not validated.
+ * @param {Object|Function} schema - Schema to validate against
+ * @param {*} value - Value to validate
+ * @param {string} path - Option path of the value
+ * @throws {ExpressMongoSanitizeError} If the value is invalid
+ */
+const validateSchema = (schema, value, path) => {
+  if (isFunction(schema)) return schema(value, path);
+  if (!isPlainObject(value)) throw invalidOption(path, 'an object', value);
+  const join = (key) => (path ? `${path}.${key}` : key);
+  Object.keys(value).forEach((key) => {
+    if (!Object.hasOwn(schema, key)) warnUnknownOption(join(key));
+  });
+  Object.entries(schema).forEach(([key, child]) => {
+    if (value[key] !== undefined) validateSchema(child, value[key], join(key));
+  });
+};
+
+/**
+ * Validator for boolean flags.
+ * @constant {Function}
+ */
+const isBooleanOption = optionRule('a boolean', (value) => typeof value === 'boolean');
+
+/**
+ * Validator for optional limits.
+ * @constant {Function}
+ */
+const isLimitOption = optionRule(
+  'a positive integer or null',
+  (value) => value === null || (Number.isInteger(value) && value > 0)
+);
+
+/**
+ * Validator for optional callbacks.
+ * @constant {Function}
+ */
+const isCallbackOption = optionRule('a function or null', (value) => value === null || isFunction(value));
+
+/**
+ * Validator for pattern lists.
+ * @constant {Function}
+ */
+const isPatternList = listOf('a RegExp', (value) => value instanceof RegExp);
+
+/**
+ * Validator for lists of keys, paths or names.
+ * @constant {Function}
+ */
+const isStringList = listOf('a string', isString);
+
+/**
+ * Validator for operator lists, which must not contain BLOCKED_OPERATORS.
+ * @param {*} value - Operators to validate
+ * @param {string} path - Option path of the list
+ * @throws {ExpressMongoSanitizeError} If the list is invalid
+ */
+const isOperatorList = (value, path) => {
+  isStringList(value, path);
+  value.forEach((operator, index) => {
+    if (BLOCKED_OPERATORS.includes(operator)) {
+      throw invalidOption(`${path}[${index}]`, `an operator other than ${BLOCKED_OPERATORS.join(', ')}`, operator);
+    }
+  });
+};
+
+/**
+ * Validator for `preserve` lists of built-in format names and predicates.
+ * @constant {Function}
+ */
+const isPreserveList = listOf(
+  `a function or one of ${Object.keys(PRESERVE_FORMATS)
+    .map((format) => JSON.stringify(format))
+    .join(', ')}`,
+  (entry) => isFunction(entry) || Object.hasOwn(PRESERVE_FORMATS, entry)
+);
+
+/**
+ * Validator for `schema` types.
+ * @constant {Function}
+ */
+const isSchemaType = oneOf(Object.keys(SCHEMA_TYPES));
+
+/**
+ * Validator for `schema` rules: a type name or a `{ type, action }` object.
+ * @param {*} rule - Rule to validate
+ * @param {string} path - Option path of the rule
+ * @throws {ExpressMongoSanitizeError} If the rule is invalid
+ */
+const isSchemaRule = (rule, path) => {
+  if (isString(rule)) return isSchemaType(rule, path);
+  validateSchema({ type: isSchemaType, action: oneOf(['coerce', 'reject']) }, rule, path);
+  if (rule.type === undefined) isSchemaType(undefined, `${path}.type`);
+};
+
+/**
+ * Validator for `allowedOperators` rules: an operator list or a `{ operators, action, maxRegexLength, regex }` object.
+ * @param {*} rule - Rule to validate
+ * @param {string} path - Option path of the rule
+ * @throws {ExpressMongoSanitizeError} If the rule is invalid
+ */
+const isOperatorRule = (rule, path) => {
+  if (isArray(rule)) return isOperatorList(rule, path);
+  validateSchema(
+    {
+      operators: isOperatorList,
+      action: oneOf(['remove', 'reject']),
+      maxRegexLength: isLimitOption,
+      regex: oneOf(['check', 'escape']),
+    },
+    rule,
+    path
+  );
+  if (rule.operators === undefined) isOperatorList(undefined, `${path}.operators`);
+};
+
+/**
+ * Schema of every supported option, used to validate merged options and to detect unknown keys.
+ * @constant {Object}
+ */
+const OPTIONS_SCHEMA = Object.freeze({
+  replaceWith: optionRule('a string', isString),
+  removeMatches: isBooleanOption,
+  sanitizeObjects: listOf(`one of ${SANITIZE_OBJECTS.map((name) => JSON.stringify(name)).join(', ')}`, (name) =>
+    SANITIZE_OBJECTS.includes(name)
+  ),
+  mode: oneOf(['auto', 'manual', 'reject', 'monitor']),
+  strategy: oneOf(['patterns', 'operators']),
+  skipRoutes: listOf(
+    'a path, a RegExp, a { method, path } object or a function',
+    (route) => (isString(route) && !!route) || route instanceof RegExp || isPlainObject(route) || isFunction(route)
+  ),
+  customSanitizer: isCallbackOption,
+  onSanitize: isCallbackOption,
+  metrics: nullable(
+    optionRule(
+      'an object with increment and observe methods',
+      (value) => typeof value === 'object' && ['increment', 'observe'].every((method) => isFunction(value[method]))
+    )
+  ),
+  recursive: isBooleanOption,
+  removeEmpty: isBooleanOption,
+  patterns: isPatternList,
+  allowedKeys: nullable(isStringList),
+  deniedKeys: nullable(isStringList),
+  exemptPaths: isStringList,
+  preserve: isPreserveList,
+  fieldRules: mapOf({ sanitizeValues: isBooleanOption, patterns: isPatternList, preserve: isPreserveList }),
+  schema: mapOf(isSchemaRule),
+  allowedOperators: mapOf(isOperatorRule),
+  stringOptions: { trim: isBooleanOption, lowercase: isBooleanOption, maxLength: isLimitOption },
+  arrayOptions: { filterNull: isBooleanOption, distinct: isBooleanOption },
+  headerOptions: { allowlist: isStringList },
+  queryOptions: {
+    flatten: isBooleanOption,
+    maxArrayIndex: optionRule(
+      'a non-negative integer or null',
+      (value) => value === null || (Number.isInteger(value) && value >= 0)
+    ),
+    action: oneOf(['drop', 'reject']),
+  },
+  limitOptions: {
+    maxDepth: isLimitOption,
+    maxKeys: isLimitOption,
+    maxArrayLength: isLimitOption,
+    maxStringLength: isLimitOption,
+    action: oneOf(['truncate', 'reject']),
+  },
+  rejectOptions: {
+    statusCode: optionRule(
+      'an HTTP error status code (400-599)',
+      (value) => Number.isInteger(value) && value >= 400 && value <= 599
+    ),
+    type: optionRule('a string', isString),
+    message: optionRule('a string', isString),
+    body: optionRule('an object or null', (value) => value === null || isPlainObject(value)),
+  },
+  debug: {
+    enabled: isBooleanOption,
+    level: oneOf(Object.keys(LOG_LEVELS)),
+    logSkippedRoutes: isBooleanOption,
+    logger: nullable(
+      optionRule(
+        'a logger with error, warn and info methods',
+        (value) => typeof value === 'object' && ['error', 'warn', 'info'].every((method) => isFunction(value[method]))
+      )
+    ),
+    format: oneOf(['json', 'pretty']),
+    colors: oneOf(['auto', true, false]),
+    redact: isStringList,
+  },
+});
+
+/**
+ * Validates merged options against the options schema and warns about unknown keys.
+ * @param {Object} options - Options to validate
+ * @throws {ExpressMongoSanitizeError} If any option is invalid
+ */
+const validateOptions = (options) => validateSchema(OPTIONS_SCHEMA, options, '');
+
+/**
+ * Checks if a property is writable on an object or its prototype chain.
+ * @param {Object} obj - Object to check
+ * @param {string} prop - Property name to check
+ * @returns {boolean} True if property is writable
+ */
+const isWritable = (obj, prop) => {
+  let cur = obj;
+  while (cur) {
+    const descriptor = Object.getOwnPropertyDescriptor(cur, prop);
+    if (descriptor) return !!(descriptor.writable || descriptor.set);
+    cur = Object.getPrototypeOf(cur);
+  }
+  return true;
+};
+
+/**
+ * Checks whether a header is left untouched by the header allowlist.
+ * Entries ending with `*` match any header starting with the given prefix (e.g. `sec-fetch-*`).
+ * @param {string} name - Lowercased header name
+ * @param {string[]} allowlist - Lowercased allowlist entries
+ * @returns {boolean} True if the header must not be sanitized
+ */
+const isHeaderAllowlisted = (name, allowlist) =>
+  allowlist.some((entry) => (entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name));
+
+/**
+ * Creates the shallow copy of a request object that is handed to the sanitizer.
+ * Allowlisted headers are left out so they are never modified.
+ * @param {Object|Array} requestObject - Request object (body, query, headers...)
+ * @param {string} name - Request object name
+ * @param {Object} options - Sanitization options
+ * @returns {Object|Array} Copy to sanitize
+ */
+const copyRequestObject = (requestObject, name, options) => {
+  if (name !== 'headers') return isArray(requestObject) ? [...requestObject] : { ...requestObject };
+  const { allowlist } = options.headerOptions;
+  return Object.fromEntries(
+    Object.entries(requestObject).filter(([header]) => !isHeaderAllowlisted(header, allowlist))
+  );
+};
+
+/**
+ * Checks whether request objects are only inspected ('reject' and 'monitor' modes) instead of rewritten.
+ * @param {Object} options - Sanitization options
+ * @returns {boolean} True if sanitized values are not written back
+ */
+const isInspectOnly = (options) => options.mode === 'reject' || options.mode === 'monitor';
+
+/**
+ * Sanitizes a single request object.
+ * @param {Object|Array} requestObject - Request object (body, query, headers...)
+ * @param {string} name - Request object name
+ * @param {Object} options - Sanitization options
+ * @param {Object} report - Report receiving findings
+ * @returns {{original: Object|Array, sanitized: *}} The sanitized copy and the copy it was made from
+ */
+const sanitizeRequestObject = (requestObject, name, options, report) => {
+  const { customSanitizer, debug } = options;
+  log(debug, 'debug', 'REQUEST', `Sanitizing '${name}'`, { value: requestObject }, [name]);
+  const original = copyRequestObject(requestObject, name, options);
+  const context = createContext(name, report);
+  // References back to the request object itself are cycles even though the copy is sanitized.
+  context.ancestors.add(requestObject);
+  const sanitized =
+    customSanitizer && !isInspectOnly(options)
+      ? customSanitizer(original, options)
+      : sanitizeValue(original, options, false, context);
+  if (isLogEnabled(debug, 'debug') && stringifyLogData(original) !== stringifyLogData(sanitized)) {
+    log(debug, 'debug', 'REQUEST', `'${name}' sanitized`, { before: original, after: sanitized }, [name]);
+  }
+  return { original, sanitized };
+};
+
+/**
+ * Writes a sanitized request object back onto the request.
+ * Headers are updated in place, Express 5's getter-only `query` is redefined as a data property.
+ * @param {Object} request - Express request object
+ * @param {string} name - Request object name
+ * @param {Object|Array} original - Copy the sanitized value was made from
+ * @param {*} sanitized - Sanitized value
+ */
+const writeRequestObject = (request, name, original, sanitized) => {
+  if (name === 'headers') {
+    Object.keys(original).forEach((header) => {
+      if (!(header in sanitized)) delete request.headers[header];
+    });
+    Object.assign(request.headers, sanitized);
+  } else if (isWritable(request, name)) {
+    request[name] = sanitized;
+  } else if (isPlainObject(request[name]) && name === 'query') {
+    Object.defineProperty(request, 'query', {
+      value: Object.setPrototypeOf(sanitized, null),
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+};
+
+/**
+ * Key of the per-request state shared by every sanitizer instance that handles a request.
+ * @constant {symbol}
+ */
+const REQUEST_STATE = Symbol('expressMongoSanitize.state');
+
+/**
+ * Returns the sanitizer state of a request, creating it on first access.
+ * `options` holds the raw options of the last `expressMongoSanitize()` instance that ran, `objects` maps each
+ * handled request object name to its pre-sanitization copy, its sanitized value, the value left on the request and
+ * whether it was marked with `markSanitized()`.
+ * @param {Object} request - Express request object
+ * @returns {{options: Object|null, objects: Map<string, {original: *, sanitized: *, value: *, marked?: boolean}>}}
+ *   Request state
+ */
+const getRequestState = (request) => {
+  if (!request[REQUEST_STATE]) {
+    Object.defineProperty(request, REQUEST_STATE, { value: { options: null, objects: new Map() }, configurable: true });
+  }
+  return request[REQUEST_STATE];
+};
+
+/**
+ * Returns the state entry of a request object if the object on the request is still the one a sanitizer left there.
+ * @param {Object} request - Express request object
+ * @param {string} name - Request object name
+ * @returns {{original: *, sanitized: *, value: *}|null} State entry, or null if the object was not sanitized
+ */
+const getSanitizedEntry = (request, name) => {
+  const entry = request[REQUEST_STATE]?.objects.get(name);
+  return entry && request[name] === entry.value ? entry : null;
+};
+
+/**
+ * Checks whether `queryOptions` require the query to be checked against the raw query string.
+ * @param {Object} options - Sanitization options
+ * @returns {boolean} True if flattening or an array index limit is configured
+ */
+const usesQueryHardening = ({ queryOptions }) => queryOptions.flatten || queryOptions.maxArrayIndex != null;
+
+/**
+ * Returns the raw query string of a request, without the leading `?` and any fragment.
+ * @param {Object} request - Express request object
+ * @returns {string} Raw query string
+ */
+const getRawQuery = (request) => {
+  const url = request.originalUrl || request.url || '';
+  const start = url.indexOf('?');
+  return start === -1 ? '' : url.slice(start + 1).split('#')[0];
+};
+
+/**
+ * Returns the URL of a request for logging, without its query string or fragment, which may carry secrets.
+ * @param {Object} request - Express request object
+ * @returns {string} Request path
+ */
+const getLogUrl = (request) => (request.originalUrl || request.url || '').split(/[?#]/)[0];
+
+/**
+ * Splits a query key using `qs` bracket syntax (e.g. `user[name]`, `ids[]`, `ids[3]`) into its parameter name
+ * and bracket segments. Keys that are not valid bracket syntax are returned as a name without segments.
+ * @param {string} key - Raw query key
+ * @returns {{name: string, segments: string[]}} Parameter name and bracket contents
+ */
+const parseQueryKey = (key) => {
+  const match = /^([^[\]]+)((?:\[[^[\]]*\])*)$/.exec(key);
+  if (!match) return { name: key, segments: [] };
+  return { name: match[1], segments: [...match[2].matchAll(/\[([^[\]]*)\]/g)].map(([, segment]) => segment) };
+};
+
+/**
+ * Refuses a query parameter: throws with `queryOptions.action: 'reject'` (except in 'monitor' mode),
+ * otherwise logs and reports its removal.
+ * @param {string} name - Parameter name
+ * @param {string} reason - Why the parameter is refused
+ * @param {Object} options - Sanitization options
+ * @param {Object} report - Report receiving findings
+ * @throws {ExpressMongoSanitizeError} If refused parameters are rejected
+ */
+const refuseQueryParam = (name, reason, options, report) => {
+  const message = `Query parameter '${name}' ${reason}`;
+  if (options.queryOptions.action === 'reject' && options.mode !== 'monitor') {
+    throw createHttpError(message, 'invalid_query', 400);
+  }
+  log(options.debug, 'warn', 'QUERY', `${message}, removed`);
+  addFinding(childContext(createContext('query', report), name), {
+    type: 'key',
+    action: 'removed',
+    patterns: [],
+    before: name,
+    after: undefined,
+  });
+};
+
+/**
+ * Applies `queryOptions` to a query object using the raw query string, so the result does not depend on the
+ * query parser (`qs` in Express 4, `querystring` in Express 5):
+ * - parameters using an array index above `maxArrayIndex` (e.g. `ids[500]`) are refused
+ * - with `flatten`, the query is rebuilt from the raw query string with string and array-of-string values only;
+ *   repeated keys, `key[]` and `key[N]` become arrays and nested object syntax (`user[$ne]`) is refused
+ * @param {Object} request - Express request object
+ * @param {Object} query - Parsed query object
+ * @param {Object} options - Sanitization options
+ * @param {Object} report - Report receiving findings
+ * @returns {Object} The query object, or a hardened copy
+ * @throws {ExpressMongoSanitizeError} If refused parameters are rejected
+ */
+const hardenQuery = (request, query, options, report) => {
+  const { flatten, maxArrayIndex } = options.queryOptions;
+  const refused = new Set();
+  const params = new Map();
+  new URLSearchParams(getRawQuery(request)).forEach((value, key) => {
+    const { name, segments } = parseQueryKey(key);
+    if (refused.has(name)) return;
+    const index = segments.length === 1 && /^\d+$/.test(segments[0]) ? Number(segments[0]) : null;
+    let reason = null;
+    if (index !== null && maxArrayIndex != null && index > maxArrayIndex) {
+      reason = `exceeds the maximum array index of ${maxArrayIndex}`;
+    } else if (flatten && (segments.length > 1 || (segments.length === 1 && segments[0] && index === null))) {
+      reason = 'uses nested object syntax';
+    }
+    if (reason) {
+      refused.add(name);
+      params.delete(name);
+      refuseQueryParam(name, reason, options, report);
+      return;
+    }
+    if (!params.has(name)) params.set(name, { values: [], indexed: [], isArray: false });
+    const param = params.get(name);
+    if (index !== null) param.indexed.push([index, value]);
+    else param.values.push(value);
+    param.isArray = param.isArray || segments.length > 0 || param.values.length > 1;
+  });
+  if (!flatten) {
+    if (!refused.size) return query;
+    return Object.fromEntries(Object.entries(query).filter(([key]) => !refused.has(parseQueryKey(key).name)));
+  }
+  const flat = Object.create(null);
+  params.forEach(({ values, indexed, isArray }, name) => {
+    const items = [...values, ...indexed.sort((a, b) => a[0] - b[0]).map(([, value]) => value)];
+    flat[name] = isArray ? items : items[0];
+  });
+  return flat;
+};
+
+/**
+ * Handles sanitization of Express request objects.
+ * In 'reject' and 'monitor' modes the request objects are only inspected and left untouched.
+ * The request, its findings and the time spent are reported to the `metrics` sink.
+ * Objects already sanitized by another instance are skipped with `skipSanitized`, or sanitized again from
+ * their original data with `fromOriginal`. Objects marked with `markSanitized()` are always skipped.
+ * @param {Object} request - Express request object
+ * @param {Object} options - Sanitization options
+ * @param {Object} [handling={}] - How objects already sanitized by another instance are handled
+ * @param {boolean} [handling.skipSanitized=false] - Leave them untouched (takes precedence over `fromOriginal`)
+ * @param {boolean} [handling.fromOriginal=false] - Sanitize the data they had before the first sanitizer ran
+ * @returns {{sanitized: boolean, findings: Object[]}} Report of everything that matched
+ */
+const handleRequest = (request, options, { skipSanitized = false, fromOriginal = false } = {}) => {
+  const { sanitizeObjects, onSanitize, debug } = options;
+  const start = process.hrtime.bigint();
+  const state = getRequestState(request);
+  const report = createReport();
+  log(debug, 'info', 'REQUEST', `Sanitizing request`, { url: getLogUrl(request) });
+  sanitizeObjects.forEach((name) => {
+    const entry = getSanitizedEntry(request, name);
+    if (entry && (skipSanitized || entry.marked)) {
+      log(debug, 'trace', 'REQUEST', `'${name}' already sanitized, skipping`);
+      return;
+    }
+    let requestObject = entry && fromOriginal ? entry.original : request[name];
+    if (!requestObject || isObjectEmpty(requestObject)) return;
+    if (name === 'query' && usesQueryHardening(options)) {
+      requestObject = hardenQuery(request, requestObject, options, report);
+    }
+    const { original, sanitized } = sanitizeRequestObject(requestObject, name, options, report);
+    if (isInspectOnly(options)) return;
+    const record = { original: entry && fromOriginal ? entry.original : original, sanitized, value: sanitized };
+    // Recorded before writing so the params accessor recognizes the value; headers written by an earlier
+    // instance are removed as well when they are no longer part of the result.
+    state.objects.set(name, record);
+    writeRequestObject(request, name, entry ? { ...entry.sanitized, ...original } : original, sanitized);
+    record.value = request[name];
+  });
+  request.sanitizeReport = report;
+  if (options.metrics) {
+    const tags = { route: getRouteLabel(request), mode: options.mode };
+    recordMetric(options, 'increment', METRICS.requests, tags);
+    recordFindings(options, tags.route, report.findings);
+    recordMetric(options, 'observe', METRICS.duration, Number(process.hrtime.bigint() - start) / 1e9, tags);
+  }
+  if (onSanitize) onSanitize(report, request);
+  return report;
+};
+
+/**
+ * Sanitizes `req.params` whenever the router populates it for a matched layer.
+ * Express assigns a fresh params object per layer, so the property is replaced with an accessor
+ * that sanitizes (or, in 'reject' and 'monitor' modes, inspects) assigned values and adds their findings to
+ * `req.sanitizeReport`, the middleware's counters and its events.
+ *
+ * The router assigns params outside of any error handling, so errors (rejections, limits) are kept pending and
+ * thrown where the layer's try/catch forwards them to `next(err)`: when a route is dispatched (`Route#dispatch`
+ * re-assigns `req.route`), and for other layers (e.g. `app.use('/mount/:id', fn)`) when the handler reads
+ * `req.params`, which the router only lets it do after assigning `req.baseUrl`. Errors are reported once thrown.
+ * Rejected params are dropped, so a layer that never reads them sees `{}` and the request is not rejected.
+ * @param {Object} request - Express request object
+ * @param {Object} options - Sanitization options
+ * @param {Object} instance - Counters and events of the middleware (see createInstance)
+ */
+const watchParams = (request, options, { stats, events }) => {
+  const sanitizedParams = new WeakSet();
+  let params = request.params;
+  let route = request.route;
+  let baseUrl = request.baseUrl;
+  let pendingError = null;
+  let handling = false;
+  const throwPending = () => {
+    const error = pendingError;
+    pendingError = null;
+    reportError(options, events, request, error);
+    throw error;
+  };
+  Object.defineProperty(request, 'params', {
+    configurable: true,
+    enumerable: true,
+    get: () => {
+      if (handling && pendingError) throwPending();
+      return params;
+    },
+    set: (value) => {
+      params = value;
+      pendingError = null;
+      handling = false;
+      if (!isPlainObject(value) || isObjectEmpty(value) || sanitizedParams.has(value)) return;
+      const state = getRequestState(request);
+      if (state.objects.get('params')?.sanitized === value) return;
+      const report = request.sanitizeReport || createReport();
+      const findingCount = report.findings.length;
+      const flagged = report.sanitized;
+      let findings = [];
+      try {
+        const { original, sanitized } = sanitizeRequestObject(value, 'params', options, report);
+        findings = report.findings.slice(findingCount);
+        countFindings(stats, findings, report.sanitized && !flagged);
+        recordFindings(options, getRouteLabel(request), findings);
+        if (options.mode === 'monitor') {
+          if (findings.length)
+            log(options.debug, 'warn', 'MONITOR', `Injection detected in params`, {
+              paths: findings.map((finding) => finding.path),
+            });
+        } else if (options.mode !== 'reject') {
+          params = sanitized;
+          state.objects.set('params', { original, sanitized, value: sanitized });
+        } else if (findings.length) {
+          log(options.debug, 'warn', 'REJECT', `Injection detected in params`, {
+            url: getLogUrl(request),
+          });
+          pendingError = createRejectionError(options.rejectOptions, { sanitized: true, findings });
+          params = {};
+        }
+      } catch (error) {
+        log(options.debug, 'error', 'PARAMS', error.message);
+        params = {};
+        pendingError = error;
+      }
+      if (!pendingError && findings.length) {
+        emitEvent(options, events, 'sanitized', { req: request, mode: options.mode, ...describeFindings(findings) });
+      }
+      if (params && typeof params === 'object') sanitizedParams.add(params);
+    },
+  });
+  Object.defineProperty(request, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      // The router stores the route before assigning params; only the re-assignment by Route#dispatch
+      // happens after them, inside the layer's error handling.
+      const dispatching = value === route;
+      route = value;
+      if (dispatching && pendingError) throwPending();
+    },
+  });
+  Object.defineProperty(request, 'baseUrl', {
+    configurable: true,
+    enumerable: true,
+    get: () => baseUrl,
+    set: (value) => {
+      // Set by the router right before it calls the handler of a layer that is not a route.
+      baseUrl = value;
+      handling = true;
+    },
+  });
+};
+
+/**
+ * Reports an error passed to `next(err)`: rejections are counted by the `metrics` sink and emitted as 'rejected',
+ * other errors (e.g. thrown by a custom sanitizer) are emitted as 'error'.
+ * @param {Object} options - Sanitization options
+ * @param {EventEmitter} events - Emitter of the instance
+ * @param {Object} request - Express request object
+ * @param {Error} error - Error the request fails with
+ */
+const reportError = (options, events, request, error) => {
+  const { mode } = options;
+  if (!(error instanceof ExpressMongoSanitizeError) || !error.statusCode) {
+    emitEvent(options, events, 'error', { req: request, mode, error });
+    return;
+  }
+  recordMetric(options, 'increment', METRICS.rejected, { route: getRouteLabel(request), mode, type: error.type });
+  emitEvent(options, events, 'rejected', {
+    req: request,
+    mode,
+    type: error.type,
+    error,
+    ...describeFindings(error.findings || []),
+  });
+};
+
+/**
+ * Builds the error passed to `next(err)` when a request is rejected.
+ * @param {Object} rejectOptions - Reject mode configuration
+ * @param {Object} report - Report containing the findings that caused the rejection
+ * @returns {ExpressMongoSanitizeError} Error carrying status code, JSON body and findings
+ */
+const createRejectionError = (rejectOptions, report) => {
+  const { statusCode, type, message, body } = rejectOptions;
+  const error = createHttpError(message, type, statusCode);
+  error.source = getFindingSource(report.findings[0]);
+  error.findings = report.findings;
+  error.body = body || { statusCode, error: type, message };
+  return error;
+};
+
+/**
+ * Cleans and normalizes a URL path for comparison.
+ * @param {string} url - URL to clean
+ * @returns {string|null} Cleaned URL path or null if invalid
+ */
+const cleanUrl = (url) => {
+  if (typeof url !== 'string' || !url) return null;
+  const [path] = url.split(/[?#]/);
+  const trimmed = path.replace(/^\/+|\/+$/g, '');
+  return trimmed ? '/' + trimmed : '/';
+};
+
+/**
+ * Converts a skip route path into an anchored regular expression.
+ * Supports Express-style `:param` segments and `*` wildcards (e.g. `/webhooks/:provider`, `/health/*`).
+ * @param {string} route - Route path
+ * @returns {RegExp} Regular expression matching cleaned request paths
+ */
+const routeToRegExp = (route) => {
+  const source = cleanUrl(route)
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.split('*').map(escapeRegex).join('.*');
+    })
+    .join('/');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Compiles a `skipRoutes` entry into a predicate.
+ * @param {string|RegExp|Object|Function} route - Path string, RegExp, `{ method, path }` object or `(req) => boolean`
+ * @returns {function(Object, string): boolean} Predicate receiving the request and its cleaned full path
+ * @throws {ExpressMongoSanitizeError} If the entry is not supported
+ */
+const compileSkipRoute = (route) => {
+  if (isFunction(route)) return (req) => !!route(req);
+  if (route instanceof RegExp) return (req, path) => testPattern(route, path);
+  if (isString(route) && route) {
+    const regex = routeToRegExp(route);
+    return (req, path) => regex.test(path);
+  }
+  if (isPlainObject(route) && (route.path != null || route.method != null)) {
+    const methods = route.method == null ? null : [].concat(route.method).map((method) => method.toUpperCase());
+    const matchPath = route.path == null ? () => true : compileSkipRoute(route.path);
+    return (req, path) => (!methods || methods.includes(req.method)) && matchPath(req, path);
+  }
+  throw new ExpressMongoSanitizeError(`Invalid skip route: "${route}"`, 'type_error');
+};
+
+/**
+ * Checks whether a request matches any compiled skip route.
+ * Paths are matched against the full mounted path (`req.baseUrl + req.path`).
+ * @param {Object} req - Express request object
+ * @param {Array<Function>} skipRoutes - Compiled skip route predicates
+ * @returns {string|null} The matched request path, or null if the request is not skipped
+ */
+const matchSkipRoute = (req, skipRoutes) => {
+  if (!skipRoutes.length) return null;
+  const path = cleanUrl((req.baseUrl || '') + (req.path || req.url));
+  return skipRoutes.some((matches) => matches(req, path)) ? path : null;
+};
+
+/**
+ * Compiles debug options: redaction rules and color auto-detection.
+ * Bare redaction keys (e.g. 'password') match that key at any depth.
+ * @param {Object} debug - Normalized debug options
+ * @returns {Object} Resolved debug options
+ */
+const resolveDebug = (debug) => ({
+  ...debug,
+  colors: debug.colors === 'auto' ? process.stdout?.isTTY === true && !('NO_COLOR' in process.env) : debug.colors,
+  redact: debug.redact.map((rule) => (isPathRule(rule) ? compilePathRule(rule) : ['**', rule])),
+});
+
+/**
+ * Compiles `allowedKeys`/`deniedKeys` into bare key sets and path rules.
+ * @param {Object} options - Options holding raw `allowedKeys`/`deniedKeys` arrays
+ * @returns {{allowedKeys: Set<string>, allowedPaths: Array, deniedKeys: Set<string>, deniedPaths: Array}} Compiled rules
+ */
+const resolveKeyRules = ({ allowedKeys, deniedKeys }) => {
+  const allowed = compileKeyRules(allowedKeys);
+  const denied = compileKeyRules(deniedKeys);
+  return { allowedKeys: allowed.keys, allowedPaths: allowed.paths, deniedKeys: denied.keys, deniedPaths: denied.paths };
+};
+
+/**
+ * Deep-merges option overrides into base options. Plain objects are merged key by key, any other value
+ * (arrays, RegExps, functions, loggers...) replaces the base value, and undefined overrides are ignored.
+ * @param {*} base - Base value
+ * @param {*} overrides - Overriding value
+ * @returns {*} Merged value
+ */
+const mergeOptions = (base, overrides) => {
+  if (overrides === undefined) return base;
+  if (!isPlainObject(base) || !isPlainObject(overrides)) return overrides;
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!testPattern(PROTOTYPE_KEY_PATTERN, key)) merged[key] = mergeOptions(base[key], value);
+  });
+  return merged;
+};
+
+/**
+ * Checks whether two normalized options are equivalent. Plain objects and arrays are compared item by item,
+ * anything else (RegExps, functions, loggers...) by identity.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values configure the same behavior
+ */
+const isSameOptions = (a, b) => {
+  if (a === b) return true;
+  if (isArray(a) && isArray(b)) return a.length === b.length && a.every((item, index) => isSameOptions(item, b[index]));
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => isSameOptions(a[key], b[key]));
+};
+
+/**
+ * Normalizes options for every entry point: deep-merges them over base options, then validates the result.
+ * @param {Object} [options={}] - User options
+ * @param {Object} [base=DEFAULT_OPTIONS] - Normalized options to merge over (defaults or an instance's options)
+ * @returns {Object} Normalized options
+ * @throws {ExpressMongoSanitizeError} If options are invalid
+ */
+const normalizeOptions = (options = {}, base = DEFAULT_OPTIONS) => {
+  if (!isPlainObject(options)) throw new ExpressMongoSanitizeError('Options must be an object', 'type_error');
+  const normalized = mergeOptions(base, options);
+  validateOptions(normalized);
+  return normalized;
+};
+
+/**
+ * Compiles normalized options into the lookup structures used while sanitizing.
+ * @param {Object} options - Normalized options
+ * @returns {Object} Resolved sanitization options
+ * @throws {ExpressMongoSanitizeError} If a skip route or path rule is malformed
+ */
+const compileOptions = (options) => ({
+  ...options,
+  matcher: compileMatcher(options.patterns),
+  skipRoutes: options.skipRoutes.map(compileSkipRoute),
+  ...resolveKeyRules(options),
+  preserve: compilePreserve(options.preserve),
+  fieldRules: compileFieldRules(options.exemptPaths, options.fieldRules),
+  schema: compileSchema(options.schema),
+  allowedOperators: compileOperatorRules(options.allowedOperators),
+  headerOptions: { allowlist: options.headerOptions.allowlist.map((header) => header.toLowerCase()) },
+  debug: resolveDebug(options.debug),
+});
+
+/**
+ * Normalizes and compiles options in one step.
+ * @param {Object} [options={}] - User options
+ * @param {Object} [base=DEFAULT_OPTIONS] - Normalized options to merge over
+ * @returns {Object} Resolved sanitization options
+ * @throws {ExpressMongoSanitizeError} If options are invalid
+ */
+const resolveOptions = (options = {}, base = DEFAULT_OPTIONS) => compileOptions(normalizeOptions(options, base));
+
+/**
+ * Sanitizes any value outside of Express (WebSocket messages, queue payloads, GraphQL arguments...).
+ * @param {*} value - Value to sanitize
+ * @param {Object} [options={}] - Configuration options (same as the middleware)
+ * @returns {*} Sanitized deep copy of objects and arrays, sanitized strings, other values unchanged
+ * @throws {ExpressMongoSanitizeError} If options are invalid
+ */
+const sanitize = (value, options = {}) => {
+  const opts = resolveOptions(options);
+  return opts.customSanitizer ? opts.customSanitizer(value, opts) : sanitizeValue(value, opts);
+};
+
+/**
+ * Checks whether a value contains keys or strings that would be sanitized.
+ * @param {*} value - Value to inspect
+ * @param {Object} [options={}] - Configuration options (same as the middleware)
+ * @returns {boolean} True if any key or value matches the configured patterns
+ * @throws {ExpressMongoSanitizeError} If options are invalid
+ */
+const hasInjection = (value, options = {}) => {
+  const opts = resolveOptions(options);
+  const report = createReport();
+  sanitizeValue(value, opts, false, createContext(null, report));
+  return report.sanitized;
+};
+
+/**
+ * Runs resolved options against a request: skip rules, then the configured mode.
+ * @param {Object} req - Express request object
+ * @param {Function} next - Express next callback
+ * @param {Object} normalized - Normalized options, the base for `req.sanitize(customOpts)` in manual mode
+ * @param {Object} opts - Resolved sanitization options
+ * @param {Object} handling - How objects already sanitized by another instance are handled (see handleRequest)
+ * @param {Object} instance - Counters and events of the middleware (see createInstance)
+ */
+const runSanitizer = (req, next, normalized, opts, handling, instance) => {
+  const { stats, events } = instance;
+  log(opts.debug, 'trace', 'MIDDLEWARE', `Incoming request`, { url: getLogUrl(req), method: req.method });
+  const skippedPath = matchSkipRoute(req, opts.skipRoutes);
+  if (skippedPath) {
+    if (opts.debug?.logSkippedRoutes) log(opts.debug, 'info', 'SKIP', `Skipped route: ${req.method} ${skippedPath}`);
+    recordMetric(opts, 'increment', METRICS.skipped, { route: getRouteLabel(req), mode: opts.mode });
+    emitEvent(opts, events, 'skipped', { req, mode: opts.mode, route: skippedPath });
+    return next();
+  }
+  let error = null;
+  try {
+    let report = null;
+    if (opts.mode === 'auto') {
+      log(opts.debug, 'trace', 'MIDDLEWARE', `Auto mode: running sanitizer`);
+      report = handleRequest(req, opts, handling);
+    }
+    if (opts.mode === 'reject') {
+      log(opts.debug, 'trace', 'MIDDLEWARE', `Reject mode: checking request`);
+      report = handleRequest(req, opts, handling);
+      if (report.sanitized) {
+        log(opts.debug, 'warn', 'REJECT', `Injection detected`, { url: getLogUrl(req) });
+        error = createRejectionError(opts.rejectOptions, report);
+      }
+    }
+    if (opts.mode === 'monitor') {
+      log(opts.debug, 'trace', 'MIDDLEWARE', `Monitor mode: checking request`);
+      report = handleRequest(req, opts, handling);
+      if (report.sanitized) {
+        log(opts.debug, 'warn', 'MONITOR', `Injection detected, request left untouched`, {
+          url: getLogUrl(req),
+          paths: report.findings.map((finding) => finding.path),
+        });
+      }
+    }
+    if (report) {
+      stats.requests++;
+      countFindings(stats, report.findings, report.sanitized);
+      if (!error && report.sanitized) {
+        emitEvent(opts, events, 'sanitized', { req, mode: opts.mode, ...describeFindings(report.findings) });
+      }
+    }
+    // Route-level instances run after the router populated params, which handleRequest already covered.
+    if (!error && opts.mode !== 'manual' && opts.sanitizeObjects.includes('params') && !handling.fromOriginal) {
+      watchParams(req, opts, instance);
+    }
+  } catch (err) {
+    log(opts.debug, 'error', 'MIDDLEWARE', err.message);
+    error = err;
+  }
+  if (error) {
+    reportError(opts, events, req, error);
+    return next(error);
+  }
+  if (opts.mode === 'manual') {
+    log(opts.debug, 'trace', 'MIDDLEWARE', `Manual mode: exposing req.sanitize`);
+    req.sanitize = (customOpts) => {
+      const manualOpts = customOpts ? resolveOptions(customOpts, normalized) : opts;
+      const report = handleRequest(req, manualOpts);
+      if (report.sanitized) {
+        emitEvent(manualOpts, events, 'sanitized', { req, mode: 'manual', ...describeFindings(report.findings) });
+      }
+    };
+  }
+  next();
+};
+
+/**
+ * Main middleware factory function for Express MongoDB sanitization.
+ * Request objects already sanitized by another instance (e.g. app-level and router-level) are not processed twice.
+ * Counters of inspected requests, flagged requests and findings are exposed as `middleware.stats`, and the
+ * middleware is an EventEmitter emitting 'sanitized', 'rejected', 'skipped' and 'error' events.
+ * @param {Object} [options={}] - Configuration options
+ * @returns {Function} Express middleware function
+ * @throws {ExpressMongoSanitizeError} If options are invalid
+ */
+const expressMongoSanitize = (options = {}) => {
+  const normalized = normalizeOptions(options);
+  const opts = compileOptions(normalized);
+  const instance = createInstance();
+
+  return exposeInstance((req, res, next) => {
+    getRequestState(req).options = normalized;
+    runSanitizer(req, next, normalized, opts, { skipSanitized: true }, instance);
+  }, instance);
+};
+
+/**
+ * Creates a route-level sanitizer whose options are layered over those of the `expressMongoSanitize()` instance
+ * that already handled the request (or over the defaults when none did).
+ * Request objects an earlier instance sanitized are left untouched when the route's options change nothing, and
+ * otherwise sanitized again from their original data, so the route's options (exemptions, reject mode...) apply as
+ * if it were the only sanitizer. Objects marked with `markSanitized()` are always left untouched.
+ * @param {Object} [options={}] - Route-level configuration options
+ * @returns {Function} Express middleware function, with the counters and events of `expressMongoSanitize()`
+ * @throws {ExpressMongoSanitizeError} If options are invalid
+ */
+const sanitizeRoute = (options = {}) => {
+  const ownNormalized = normalizeOptions(options);
+  const resolve = (normalized, base) => ({
+    normalized,
+    opts: compileOptions(normalized),
+    handling: { skipSanitized: isSameOptions(normalized, base), fromOriginal: true },
+  });
+  const resolved = new WeakMap([[DEFAULT_OPTIONS, resolve(ownNormalized, DEFAULT_OPTIONS)]]);
+  const instance = createInstance();
+
+  return exposeInstance((req, res, next) => {
+    const base = req[REQUEST_STATE]?.options || DEFAULT_OPTIONS;
+    if (!resolved.has(base)) resolved.set(base, resolve(normalizeOptions(options, base), base));
+    const { normalized, opts, handling } = resolved.get(base);
+    runSanitizer(req, next, normalized, opts, handling, instance);
+  }, instance);
+};
+
+/**
+ * Checks whether a request object was sanitized and is still the value the sanitizer left on the request.
+ * @param {Object} req - Express request object
+ * @param {string} [name] - Request object name (e.g. 'body'); any object when omitted
+ * @returns {boolean} True if the object (or any object) is marked as sanitized
+ */
+const isSanitized = (req, name) => {
+  if (name !== undefined) return getSanitizedEntry(req, name) !== null;
+  return [...(req[REQUEST_STATE]?.objects.keys() || [])].some((key) => getSanitizedEntry(req, key) !== null);
+};
+
+/**
+ * Marks request objects as already sanitized, e.g. after sanitizing them by other means,
+ * so `expressMongoSanitize()` and `route()` instances leave them untouched.
+ * @param {Object} req - Express request object
+ * @param {string[]} [names=SANITIZE_OBJECTS] - Request object names to mark
+ */
+const markSanitized = (req, names = SANITIZE_OBJECTS) => {
+  const state = getRequestState(req);
+  names.forEach((name) => {
+    const value = req[name];
+    if (value && typeof value === 'object') {
+      state.objects.set(name, { original: value, sanitized: value, value, marked: true });
+    }
+  });
+};
+
+/**
+ * Creates a parameter sanitization handler for Express route parameters.
+ * @param {Object} [options={}] - Configuration options
+ * @returns {Function} Express parameter handler function
+ */
+const paramSanitizeHandler = (options = {}) => {
+  const opts = resolveOptions(options);
+  return function (req, res, next, value, paramName) {
+    const key = paramName || this?.name;
+    if (key && req.params && isString(value)) {
+      const before = req.params[key];
+      req.params[key] = sanitizeString(limitString(value, opts, ROOT_CONTEXT), opts, true);
+      log(opts.debug, 'debug', 'PARAM', `Sanitized param '${key}'`, { before, after: req.params[key] }, [
+        'params',
+        key,
+      ]);
+    }
+    next();
+  };
+};
+
+/**
+ * Schema types used for the `instance` of Mongoose SchemaTypes; instances not listed map to 'any'.
+ * @constant {Object<string, string>}
+ */
+const MONGOOSE_TYPES = Object.freeze({
+  String: 'string',
+  ObjectId: 'scalar',
+  UUID: 'scalar',
+  Number: 'number',
+  BigInt: 'scalar',
+  Decimal128: 'scalar',
+  Double: 'scalar',
+  Int32: 'scalar',
+  Date: 'scalar',
+  Boolean: 'boolean',
+  Array: 'array',
+  Embedded: 'object',
+  Map: 'object',
+});
+
+/**
+ * Builds a `schema` option from a Mongoose schema, including single nested and array subdocument schemas.
+ * Mongoose is not required: any object with Mongoose-like `paths` works.
+ * @param {Object} mongooseSchema - Mongoose schema (e.g. `User.schema`)
+ * @param {Object} [options={}] - Adapter options
+ * @param {string} [options.prefix='body'] - Path the documents are found at (e.g. 'body.user'); '' for the root
+ * @param {string} [options.action='coerce'] - Action of the generated rules ('coerce' or 'reject')
+ * @returns {Object<string, Object>} Schema rules keyed by path
+ * @throws {ExpressMongoSanitizeError} If the argument is not a schema or options are invalid
+ */
+const fromMongooseSchema = (mongooseSchema, { prefix = 'body', action = 'coerce' } = {}) => {
+  if (!mongooseSchema || !isPlainObject(mongooseSchema.paths)) {
+    throw new ExpressMongoSanitizeError('fromMongooseSchema() expects a Mongoose schema', 'type_error');
+  }
+  validateSchema(
+    { prefix: optionRule('a string', isString), action: oneOf(['coerce', 'reject']) },
+    { prefix, action },
+    ''
+  );
+  const join = (base, path) => (base ? `${base}.${path}` : path);
+  const rules = {};
+  const addPaths = (schema, base) => {
+    Object.entries(schema.paths).forEach(([path, schemaType]) => {
+      const fullPath = join(base, path);
+      rules[fullPath] = { type: MONGOOSE_TYPES[schemaType.instance] || 'any', action };
+      if (schemaType.schema?.paths) {
+        addPaths(schemaType.schema, schemaType.instance === 'Array' ? `${fullPath}[]` : fullPath);
+        return;
+      }
+      const itemType = (schemaType.embeddedSchemaType || schemaType.$embeddedSchemaType || schemaType.caster)?.instance;
+      if (schemaType.instance === 'Array' && itemType) {
+        rules[`${fullPath}[]`] = { type: MONGOOSE_TYPES[itemType] || 'any', action };
+      }
+    });
+  };
+  addPaths(mongooseSchema, prefix);
+  return rules;
+};
+
+/**
+ * Query middleware the Mongoose plugin hooks; each of them carries a filter.
+ * @constant {string[]}
+ */
+const MONGOOSE_QUERY_HOOKS = Object.freeze([
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+]);
+
+/**
+ * Marks an object built by application code (e.g. `{ age: { $gte: 18 } }`) so the Mongoose plugin and
+ * `sanitize()` leave it, and everything below it, untouched. Only mark objects whose operators your code chose:
+ * user input nested in a trusted object is not inspected either.
+ * @template T
+ * @param {T} value - Object or array to trust
+ * @returns {T} The same value
+ */
+const trusted = (value) => {
+  if (value && typeof value === 'object') TRUSTED.add(value);
+  return value;
+};
+
+/**
+ * Sanitizes (or, in 'reject' and 'monitor' modes, inspects) a query filter outside of a request.
+ * @param {Object} filter - Query filter
+ * @param {Object} options - Resolved sanitization options
+ * @returns {Object} Filter to run the query with
+ * @throws {ExpressMongoSanitizeError} In reject mode, if the filter contains an injection
+ */
+const sanitizeFilter = (filter, options) => {
+  const report = createReport();
+  const inspectOnly = isInspectOnly(options);
+  const sanitized =
+    options.customSanitizer && !inspectOnly
+      ? options.customSanitizer(filter, options)
+      : sanitizeValue(filter, options, false, createContext('filter', report));
+  if (!report.sanitized) return inspectOnly ? filter : sanitized;
+  const paths = report.findings.map((finding) => finding.path);
+  if (options.mode === 'reject') {
+    log(options.debug, 'warn', 'REJECT', `Injection detected in query filter`, { paths });
+    throw createRejectionError(options.rejectOptions, report);
+  }
+  if (options.mode === 'monitor') {
+    log(options.debug, 'warn', 'MONITOR', `Injection detected in query filter, query left untouched`, { paths });
+    return filter;
+  }
+  log(options.debug, 'info', 'SANITIZE', `Query filter sanitized`, { paths });
+  return sanitized;
+};
+
+/**
+ * Query and aggregate option opting a query out of the Mongoose plugin, e.g. `.setOptions({ mongoSanitize: false })`.
+ * @constant {string}
+ */
+const MONGOOSE_QUERY_OPTION = 'mongoSanitize';
+
+/**
+ * Mongoose plugin applying the sanitizer to query filters and aggregation `$match` stages, for data that does
+ * not come through the middleware (jobs, sockets, internal services). Every query and aggregate is handled unless
+ * it opts out with `mongoSanitize: false`; operators built by application code are kept by marking them with
+ * `trusted()`. Accepts the same options as the middleware, with 'operators' as the default
+ * strategy; request-only options (`skipRoutes`, `sanitizeObjects`, `queryOptions`, ...) have no effect and 'manual'
+ * mode behaves like 'auto'. Filters are found at `filter` for `fieldRules`, `allowedOperators` and `schema` paths.
+ * Mongoose is not required: any object with a Mongoose-like `pre()` works.
+ * @param {Object} schema - Mongoose schema (`schema.plugin(mongoosePlugin, options)`)
+ * @param {Object} [options={}] - Configuration options (same as the middleware)
+ * @throws {ExpressMongoSanitizeError} If the argument is not a schema or options are invalid
+ */
+const mongoosePlugin = (schema, options = {}) => {
+  if (!schema || typeof schema.pre !== 'function') {
+    throw new ExpressMongoSanitizeError('mongoosePlugin() expects a Mongoose schema', 'type_error');
+  }
+  const opts = resolveOptions({ strategy: 'operators', ...options });
+  MONGOOSE_QUERY_HOOKS.forEach((hook) => {
+    schema.pre(hook, function () {
+      if (this.getOptions()[MONGOOSE_QUERY_OPTION] === false) return;
+      const filter = this.getFilter();
+      if (filter) this.setQuery(sanitizeFilter(filter, opts));
+    });
+  });
+  schema.pre('aggregate', function () {
+    if (this.options?.[MONGOOSE_QUERY_OPTION] === false) return;
+    this.pipeline().forEach((stage) => {
+      if (stage?.$match && typeof stage.$match === 'object') stage.$match = sanitizeFilter(stage.$match, opts);
+    });
+  });
+};
+
+/**
+ * Formats metric tags as a Prometheus label set, e.g. `{route="/users",mode="auto"}`.
+ * @param {Object<string, *>} tags - Metric tags
+ * @returns {string} Label set, empty when there are no tags
+ */
+const formatLabels = (tags) => {
+  const labels = Object.entries(tags).map(
+    ([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return labels.length ? `{${labels.join(',')}}` : '';
+};
+
+/**
+ * Creates an in-process metrics registry usable as the `metrics` option, which renders its counters and
+ * histograms in the Prometheus text exposition format.
+ * @param {Object} [options={}] - Registry options
+ * @param {number[]} [options.buckets=DURATION_BUCKETS] - Histogram buckets in seconds
+ * @returns {{increment: Function, observe: Function, metrics: Function, reset: Function, contentType: string}}
+ *   Metrics sink, with `metrics()` returning the exposition text
+ * @throws {ExpressMongoSanitizeError} If buckets are invalid
+ */
+const createPrometheusMetrics = ({ buckets = DURATION_BUCKETS } = {}) => {
+  if (!isArray(buckets) || !buckets.every(Number.isFinite)) {
+    throw invalidOption('buckets', 'an array of numbers', buckets);
+  }
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const counters = new Map();
+  const histograms = new Map();
+
+  const getSeries = (store, name, tags, create) => {
+    if (!store.has(name)) store.set(name, new Map());
+    const series = store.get(name);
+    const labels = formatLabels(tags);
+    if (!series.has(labels)) series.set(labels, { tags, ...create() });
+    return series.get(labels);
+  };
+
+  const renderHeader = (name, type) => {
+    const help = METRIC_HELP[name];
+    return [...(help ? [`# HELP ${name} ${help}`] : []), `# TYPE ${name} ${type}`];
+  };
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    increment: (name, tags = {}, value = 1) => {
+      getSeries(counters, name, tags, () => ({ value: 0 })).value += value;
+    },
+    observe: (name, value, tags = {}) => {
+      const entry = getSeries(histograms, name, tags, () => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.buckets[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    metrics: () => {
+      const lines = [];
+      counters.forEach((series, name) => {
+        lines.push(...renderHeader(name, 'counter'));
+        series.forEach((entry, labels) => lines.push(`${name}${labels} ${entry.value}`));
+      });
+      histograms.forEach((series, name) => {
+        lines.push(...renderHeader(name, 'histogram'));
+        series.forEach((entry) => {
+          bounds.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.tags, le: bound })} ${entry.buckets[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...entry.tags, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.tags)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.tags)} ${entry.count}`);
+        });
+      });
+      return lines.length ? `${lines.join('\n')}\n` : '';
+    },
+    reset: () => {
+      counters.clear();
+      histograms.clear();
+    },
   };
 };
 
@@ -476,4 +2970,16 @@ module.exports = expressMongoSanitize;
 module.exports.default = expressMongoSanitize;
 module.exports.expressMongoSanitize = expressMongoSanitize;
 module.exports.paramSanitizeHandler = paramSanitizeHandler;
+module.exports.route = sanitizeRoute;
+module.exports.isSanitized = isSanitized;
+module.exports.markSanitized = markSanitized;
+module.exports.sanitize = sanitize;
+module.exports.hasInjection = hasInjection;
+module.exports.createPrometheusMetrics = createPrometheusMetrics;
+module.exports.fromMongooseSchema = fromMongooseSchema;
+module.exports.mongoosePlugin = mongoosePlugin;
+module.exports.trusted = trusted;
+module.exports.escapeRegex = escapeRegex;
+module.exports.isSafeRegex = isSafeRegex;
+module.exports.ExpressMongoSanitizeError = ExpressMongoSanitizeError;
 exports.default = expressMongoSanitize;
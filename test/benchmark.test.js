@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { performance } = require('node:perf_hooks');
+const { expressMongoSanitize, sanitize } = require('../');
+
+const PATTERNS = [/\$/g, /\./g, /[\\\/{}.(*+?|[\]^)]/g, /[\u0000-\u001F\u007F-\u009F]/g, /\{\s*\$|\$?\{(.|\r?\n)*\}/g];
+
+const EMAIL =
+  /^(?:[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*|"(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21\x23-\x5b\x5d-\x7f]|\\[\x01-\x09\x0b\x0c\x0e-\x7f])*")@(?:(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?|\[(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?|[a-z0-9-]*[a-z0-9]:(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21-\x5a\x53-\x7f]|\\[\x01-\x09\x0b\x0c\x0e-\x7f])+)\])$/i;
+
+/**
+ * Baseline reproducing the previous hot path: a new combined RegExp for every string,
+ * the email regex on every string and a global-regex key check per key.
+ */
+const legacySanitizeString = (str) => {
+  if (EMAIL.test(str)) return str;
+  return str.replace(new RegExp(PATTERNS.map((pattern) => pattern.source).join('|'), 'g'), '');
+};
+
+const legacySanitize = (value) => {
+  if (typeof value === 'string') return legacySanitizeString(value);
+  if (Array.isArray(value)) return value.map(legacySanitize);
+  if (value && typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, val]) => {
+      PATTERNS.some((pattern) => pattern.test(key));
+      acc[legacySanitizeString(key)] = legacySanitize(val);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const createBody = (size) => ({
+  users: Array.from({ length: size }, (_, index) => ({
+    id: index,
+    name: `user number ${index}`,
+    email: `user${index}@example.com`,
+    bio: 'Plain text without any special characters at all, just a longer sentence',
+    tags: ['alpha', 'beta', 'gamma'],
+    active: index % 2 === 0,
+    address: { street: `${index} Main Street`, city: 'Springfield', zip: '12345' },
+    filter: index % 10 === 0 ? { $gt: '', 'profile.role': 'admin' } : { status: 'open' },
+  })),
+});
+
+const measure = (fn, iterations) => {
+  for (let i = 0; i < 3; i++) fn();
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  const elapsed = performance.now() - start;
+  return { elapsed, opsPerSec: (iterations / elapsed) * 1000 };
+};
+
+test('benchmark: compiled sanitizer matches the baseline output on a large body', () => {
+  const body = createBody(200);
+  assert.deepStrictEqual(sanitize(body), legacySanitize(body));
+});
+
+test('benchmark: throughput on large bodies before and after compiling the sanitizer', (t) => {
+  for (const size of [100, 1000]) {
+    const body = createBody(size);
+    const iterations = size >= 1000 ? 10 : 50;
+    const before = measure(() => legacySanitize(body), iterations);
+    const after = measure(() => sanitize(body), iterations);
+    t.diagnostic(
+      `${size} records: before ${before.opsPerSec.toFixed(1)} ops/s, after ${after.opsPerSec.toFixed(1)} ops/s ` +
+        `(${(before.elapsed / after.elapsed).toFixed(2)}x)`
+    );
+  }
+});
+
+test('benchmark: middleware throughput on a large request body', (t) => {
+  const middleware = expressMongoSanitize();
+  const body = createBody(1000);
+  const iterations = 5;
+  const result = measure(() => {
+    const req = { body, query: {}, headers: {} };
+    middleware(req, {}, () => {});
+  }, iterations);
+  t.diagnostic(`1000 records through the middleware: ${result.opsPerSec.toFixed(1)} requests/s`);
+});
@@ -2,7 +2,22 @@ const express4 = require('express4');
 const express = require('express');
 const { test, after } = require('node:test');
 const assert = require('node:assert');
-const { expressMongoSanitize, paramSanitizeHandler } = require('../');
+const { once } = require('node:events');
+const {
+  expressMongoSanitize,
+  paramSanitizeHandler,
+  sanitize,
+  hasInjection,
+  isSanitized,
+  markSanitized,
+  createPrometheusMetrics,
+  fromMongooseSchema,
+  mongoosePlugin,
+  trusted,
+  escapeRegex,
+  isSafeRegex,
+  ExpressMongoSanitizeError,
+} = require('../');
 
 const expressVersions = [
   {
@@ -204,6 +219,346 @@ for (const version of expressVersions) {
     server.close();
   });
 
+  test(`[${version.name}] should respect path-aware allowedKeys and deniedKeys`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        allowedKeys: ['body.user.*.email', 'body.items[].price'],
+        deniedKeys: ['body.user.admin.email', 'query.sort'],
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json({ body: req.body, query: req.query });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/?sort=name&page=2`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user: {
+          john: { email: 'john@example.com', password: 'secret' },
+          admin: { email: 'admin@example.com' },
+        },
+        items: [{ price: 10, discount: 5 }],
+        role: 'admin',
+      }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      body: {
+        user: { john: { email: 'john@example.com' }, admin: {} },
+        items: [{ price: 10 }],
+      },
+      query: { page: '2' },
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should honor exemptPaths and fieldRules`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        exemptPaths: ['body.product.price', 'body.versions[]'],
+        fieldRules: { 'body.content': { patterns: [/\$/g] } },
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        product: { price: '$19.99', $where: '$19.99' },
+        versions: ['1.2.3', '$2.0'],
+        content: '# Title (v1.0) costs $5',
+        domain: 'example.com',
+      }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      product: { price: '$19.99', where: '1999' },
+      versions: ['1.2.3', '$2.0'],
+      content: '# Title (v1.0) costs 5',
+      domain: 'examplecom',
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should preserve configured formats globally and per path`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        preserve: ['email', 'uuid', 'iso-date'],
+        fieldRules: { 'body.links': { preserve: ['url'] } },
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: 'user@example.com',
+        id: '550e8400-e29b-41d4-a716-446655440000',
+        createdAt: '2024-05-01T10:20:30.000Z',
+        links: ['https://example.com/docs/v1.0', '$where'],
+        website: 'https://example.com',
+      }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      email: 'user@example.com',
+      id: '550e8400-e29b-41d4-a716-446655440000',
+      createdAt: '2024-05-01T10:20:30.000Z',
+      links: ['https://example.com/docs/v1.0', 'where'],
+      website: 'https:examplecom',
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should enforce schema types on request fields`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        schema: {
+          'body.username': 'string',
+          'body.password': { type: 'string', action: 'reject' },
+          'query.page': 'number',
+          'query.tags': 'array',
+        },
+      })
+    );
+
+    app.post('/login', (req, res) => {
+      res.json({ body: req.body, query: req.query, findings: req.sanitizeReport.findings.map(({ path }) => path) });
+    });
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ type: err.type, message: err.message });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const login = (query, body) =>
+      fetch(`http://localhost:${port}/login${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    const coerced = await login('?page=2&tags=a', { username: { $gt: '' }, password: 'secret' });
+    assert.strictEqual(coerced.status, 200);
+    assert.deepStrictEqual(await coerced.json(), {
+      body: { password: 'secret' },
+      query: { page: 2, tags: ['a'] },
+      findings: ['body.username'],
+    });
+
+    const rejected = await login('', { username: 'admin', password: { $gt: '' } });
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(await rejected.json(), {
+      type: 'invalid_type',
+      message: "Expected string at 'body.password'",
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should only strip MongoDB operators with the operators strategy`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        strategy: 'operators',
+        allowedOperators: { 'body.filter': ['$in', '$gte'] },
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        price: '$19.99',
+        website: 'https://example.com/a.b?c=(d)',
+        password: { $ne: null },
+        'profile.role': 'admin',
+        filter: { age: { $gte: 18, $where: 'sleep(1)' }, tags: { $in: ['a.b'] } },
+      }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      price: '$19.99',
+      website: 'https://example.com/a.b?c=(d)',
+      password: {},
+      filter: { age: { $gte: 18 }, tags: { $in: ['a.b'] } },
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should only keep allowed operators under allowedOperators paths`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        allowedOperators: {
+          'body.filter': ['$eq', '$in', '$gte', '$lte', '$regex'],
+          'body.search': { operators: ['$regex', '$options'], action: 'reject', maxRegexLength: 10 },
+        },
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json({ body: req.body, findings: req.sanitizeReport.findings.map(({ path }) => path) });
+    });
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ type: err.type, message: err.message });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const post = (body) =>
+      fetch(`http://localhost:${port}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    const kept = await post({
+      name: '$admin',
+      filter: { age: { $gte: 18, $where: 'sleep(1)' }, email: { $regex: '^a.b' }, $expr: { $eq: [1, 1] } },
+      search: { title: { $regex: 'j.*n', $options: 'i' } },
+    });
+    assert.strictEqual(kept.status, 200);
+    assert.deepStrictEqual(await kept.json(), {
+      body: {
+        name: 'admin',
+        filter: { age: { $gte: 18 }, email: { $regex: '^a.b' } },
+        search: { title: { $regex: 'j.*n', $options: 'i' } },
+      },
+      findings: ['body.name', 'body.filter.age.$where', 'body.filter.$expr'],
+    });
+
+    const tooLong = await post({ search: { title: { $regex: '(a+)+(b+)+c' } } });
+    assert.strictEqual(tooLong.status, 400);
+    assert.deepStrictEqual(await tooLong.json(), {
+      type: 'operator_not_allowed',
+      message: "Operator not allowed at 'body.search.title.$regex' ($regex longer than 10 characters)",
+    });
+
+    const refused = await post({ search: { $where: 'sleep(1)' } });
+    assert.strictEqual(refused.status, 400);
+    assert.strictEqual((await refused.json()).type, 'operator_not_allowed');
+
+    server.close();
+  });
+
+  test(`[${version.name}] should not trust a _bsontype key sent in the body`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ mode: 'reject' }));
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json(err.findings.map((finding) => finding.path));
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user: { _bsontype: 'ObjectId', $ne: null },
+        q: { _bsontype: 'Long', $where: 'sleep(5000)' },
+      }),
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), ['body.user.$ne', 'body.q.$where', 'body.q.$where']);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should reject operators with the operators strategy in reject mode`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ mode: 'reject', strategy: 'operators' }));
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json(err.findings.map((finding) => finding.path));
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const send = (body) =>
+      fetch(`http://localhost:${port}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    const accepted = await send({ note: 'Costs $5. See {docs}' });
+    assert.strictEqual(accepted.status, 200);
+    assert.deepStrictEqual(await accepted.json(), { note: 'Costs $5. See {docs}' });
+
+    const rejected = await send({ user: { $gt: '' } });
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(await rejected.json(), ['body.user.$gt']);
+
+    server.close();
+  });
+
   test(`[${version.name}] should handle manual mode and custom route options`, async () => {
     const app = version.app();
     app.use(express.json());
@@ -302,6 +657,52 @@ for (const version of expressVersions) {
     server.close();
   });
 
+  test(`[${version.name}] should match skipRoutes patterns, methods, RegExps and predicates`, async () => {
+    const app = version.app();
+    const router = version.app.Router();
+    app.use(express.json());
+    router.use(
+      expressMongoSanitize({
+        skipRoutes: [
+          '/api/webhooks/:provider',
+          '/api/health/*',
+          /^\/api\/raw-\d+$/,
+          { method: 'GET', path: '/api/search' },
+          (req) => req.get('x-skip-sanitize') === 'yes',
+        ],
+      })
+    );
+    router.use((req, res) => {
+      res.json({ ...req.body, ...req.query });
+    });
+    app.use('/api', router);
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const send = async (method, path, headers = {}) => {
+      const response = await fetch(`http://localhost:${port}${path}?q=$x`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: method === 'GET' ? undefined : JSON.stringify({ username: '$admin' }),
+      });
+      const data = await response.json();
+      return method === 'GET' ? data.q : data.username;
+    };
+
+    assert.strictEqual(await send('POST', '/api/webhooks/stripe'), '$admin');
+    assert.strictEqual(await send('POST', '/api/webhooks/stripe/events'), 'admin');
+    assert.strictEqual(await send('POST', '/api/health/live'), '$admin');
+    assert.strictEqual(await send('POST', '/api/health'), 'admin');
+    assert.strictEqual(await send('POST', '/api/raw-42'), '$admin');
+    assert.strictEqual(await send('GET', '/api/search'), '$x');
+    assert.strictEqual(await send('PUT', '/api/search'), 'admin');
+    assert.strictEqual(await send('POST', '/api/other', { 'x-skip-sanitize': 'yes' }), '$admin');
+    assert.strictEqual(await send('POST', '/api/other'), 'admin');
+
+    server.close();
+  });
+
   test(`[${version.name}] should remove empty values if removeEmpty is true`, async () => {
     const app = version.app();
     app.use(express.json());
@@ -362,53 +763,374 @@ for (const version of expressVersions) {
     server.close();
   });
 
-  test(`[${version.name}] should use customSanitizer if provided`, async () => {
+  test(`[${version.name}] should sanitize headers, cookies, signedCookies and params`, async () => {
     const app = version.app();
     app.use(express.json());
+    app.use((req, res, next) => {
+      req.cookies = { session: '$session.id' };
+      req.signedCookies = { tenant: { $ne: null } };
+      next();
+    });
     app.use(
       expressMongoSanitize({
-        customSanitizer: (data) => {
-          if (typeof data === 'string') return 'SAFE';
-          if (Array.isArray(data)) return data.map(() => 'SAFE');
-          if (typeof data === 'object' && data !== null) {
-            const out = {};
-            for (const k in data) {
-              if (Array.isArray(data[k])) {
-                out[k] = data[k].map(() => 'SAFE');
-              } else if (typeof data[k] === 'string') {
-                out[k] = 'SAFE';
-              } else {
-                out[k] = data[k];
-              }
-            }
-            return out;
-          }
-          return data;
-        },
+        sanitizeObjects: ['body', 'query', 'headers', 'cookies', 'signedCookies', 'params'],
       })
     );
 
-    app.post('/', (req, res) => {
-      res.json(req.body);
+    app.get('/user/:username', (req, res) => {
+      res.json({
+        params: req.params,
+        cookies: req.cookies,
+        signedCookies: req.signedCookies,
+        tenant: req.headers['x-tenant-id'],
+        accept: req.headers.accept,
+        userAgent: req.get('user-agent'),
+        findings: req.sanitizeReport.findings.map((finding) => finding.path),
+      });
     });
 
     const server = app.listen(0);
     const port = server.address().port;
-    const response = await fetch(`http://localhost:${port}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ foo: '$bar', arr: ['$baz', '$qux'] }),
+
+    const response = await fetch(`http://localhost:${port}/user/$admin`, {
+      headers: { 'X-Tenant-Id': '$tenant', Accept: 'application/json, */*', 'User-Agent': 'test/1.0 (node)' },
     });
+
     const data = await response.json();
 
     assert.strictEqual(response.status, 200);
-    assert.deepStrictEqual(data, { foo: 'SAFE', arr: ['SAFE', 'SAFE'] });
+    assert.deepStrictEqual(data, {
+      params: { username: 'admin' },
+      cookies: { session: 'sessionid' },
+      signedCookies: { tenant: { ne: null } },
+      tenant: 'tenant',
+      accept: 'application/json, */*',
+      userAgent: 'test/1.0 (node)',
+      findings: ['headers.x-tenant-id', 'cookies.session', 'signedCookies.tenant.$ne', 'params.username'],
+    });
+
     server.close();
   });
 
-  test(`[${version.name}] should sanitize query`, async () => {
+  test(`[${version.name}] should reject injected params in reject mode`, async () => {
     const app = version.app();
-    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        mode: 'reject',
+        sanitizeObjects: ['body', 'query', 'params'],
+        skipRoutes: ['/raw/:id'],
+      })
+    );
+
+    app.get('/users/:id', (req, res) => {
+      res.json(req.params);
+    });
+    app.get('/raw/:id', (req, res) => {
+      res.json(req.params);
+    });
+
+    app.use((err, req, res, next) => {
+      assert.strictEqual(err.source, 'params');
+      assert.deepStrictEqual(
+        err.findings.map((finding) => finding.path),
+        ['params.id']
+      );
+      res.status(err.statusCode).json({ error: err.type });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const rejected = await fetch(`http://localhost:${port}/users/$where`);
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(await rejected.json(), { error: 'injection_detected' });
+
+    const accepted = await fetch(`http://localhost:${port}/users/42`);
+    assert.strictEqual(accepted.status, 200);
+    assert.deepStrictEqual(await accepted.json(), { id: '42' });
+
+    const skipped = await fetch(`http://localhost:${port}/raw/$where`);
+    assert.strictEqual(skipped.status, 200);
+    assert.deepStrictEqual(await skipped.json(), { id: '$where' });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should reject injected params of mounted middleware in reject mode`, async () => {
+    const app = version.app();
+    const rejections = [];
+    const sanitizer = expressMongoSanitize({ mode: 'reject', sanitizeObjects: ['params'] });
+    sanitizer.on('rejected', ({ req }) => rejections.push(req.originalUrl));
+    app.use(sanitizer);
+
+    app.use('/mount/:id', (req, res) => {
+      res.json(req.params);
+    });
+    app.use('/static/:id', (req, res) => {
+      res.json({ served: true });
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ error: err.type, source: err.source, params: req.params });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const rejected = await fetch(`http://localhost:${port}/mount/$where`);
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(await rejected.json(), { error: 'injection_detected', source: 'params', params: {} });
+
+    const accepted = await fetch(`http://localhost:${port}/mount/42`);
+    assert.strictEqual(accepted.status, 200);
+    assert.deepStrictEqual(await accepted.json(), { id: '42' });
+
+    // A layer that never reads the params is not rejected, and no rejection is reported.
+    const unread = await fetch(`http://localhost:${port}/static/$where`);
+    assert.strictEqual(unread.status, 200);
+    assert.deepStrictEqual(rejections, ['/mount/$where']);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should forward params limit errors to the error handler`, async () => {
+    const app = version.app();
+    app.use(
+      expressMongoSanitize({
+        sanitizeObjects: ['params'],
+        limitOptions: { maxStringLength: 8, action: 'reject' },
+      })
+    );
+
+    app.get('/users/:id', (req, res) => {
+      res.json(req.params);
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ type: err.type, params: req.params });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const long = await fetch(`http://localhost:${port}/users/${'a'.repeat(20)}`);
+    assert.strictEqual(long.status, 413);
+    assert.deepStrictEqual(await long.json(), { type: 'limit_exceeded', params: {} });
+
+    const short = await fetch(`http://localhost:${port}/users/abc`);
+    assert.strictEqual(short.status, 200);
+    assert.deepStrictEqual(await short.json(), { id: 'abc' });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should respect a custom header allowlist`, async () => {
+    const app = version.app();
+    app.use(expressMongoSanitize({ sanitizeObjects: ['headers'], headerOptions: { allowlist: ['host', 'X-Api-*'] } }));
+
+    app.get('/', (req, res) => {
+      res.json({ key: req.headers['x-api-key'], tenant: req.headers['x-tenant-id'] });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/`, {
+      headers: { 'X-Api-Key': 'abc.$def', 'X-Tenant-Id': '$tenant' },
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { key: 'abc.$def', tenant: 'tenant' });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should drop prototype pollution keys from body and query`, async () => {
+    const app = version.app();
+    app.set('query parser', 'extended');
+    app.use(express.json());
+    app.use(expressMongoSanitize());
+
+    app.post('/', (req, res) => {
+      res.json({
+        body: req.body,
+        query: req.query,
+        findings: req.sanitizeReport.findings.map(({ path, action }) => [path, action]),
+      });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(
+      `http://localhost:${port}/?constructor[prototype][polluted]=yes&a[__proto__][polluted]=yes&page=1`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"__proto__":{"polluted":"yes"},"user":{"constructor":{"prototype":{"polluted":"yes"}},"name":"john"}}',
+      }
+    );
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      body: { user: { name: 'john' } },
+      query: { a: {}, page: '1' },
+      findings: [
+        ['body.__proto__', 'removed'],
+        ['body.user.constructor', 'removed'],
+        ['query.constructor', 'removed'],
+      ],
+    });
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.polluted, undefined);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should reject prototype pollution keys in reject mode`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ mode: 'reject', strategy: 'operators' }));
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json(err.findings.map((finding) => finding.path));
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"settings":{"__proto__":{"isAdmin":true}}}',
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), ['body.settings.__proto__']);
+    assert.strictEqual({}.isAdmin, undefined);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should reject payloads exceeding limitOptions`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ limitOptions: { maxDepth: 3, maxArrayLength: 5, action: 'reject' } }));
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ type: err.type, message: err.message });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const send = (body) =>
+      fetch(`http://localhost:${port}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    const deep = await send({ a: { b: { c: { d: 1 } } } });
+    assert.strictEqual(deep.status, 413);
+    assert.deepStrictEqual(await deep.json(), {
+      type: 'limit_exceeded',
+      message: "Maximum depth of 3 exceeded at 'body.a.b.c'",
+    });
+
+    const long = await send({ items: [1, 2, 3, 4, 5, 6] });
+    assert.strictEqual(long.status, 413);
+
+    const accepted = await send({ a: { b: { c: 1 } }, items: [1, 2, 3, 4, 5] });
+    assert.strictEqual(accepted.status, 200);
+    assert.deepStrictEqual(await accepted.json(), { a: { b: { c: 1 } }, items: [1, 2, 3, 4, 5] });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should survive cyclic objects from upstream middleware`, async () => {
+    const app = version.app();
+    app.use((req, res, next) => {
+      const body = { name: '$john', children: [] };
+      body.self = body;
+      body.children.push({ parent: body, name: 'child' });
+      req.body = body;
+      next();
+    });
+    app.use(expressMongoSanitize());
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, { method: 'POST' });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { name: 'john', children: [{ name: 'child' }] });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should use customSanitizer if provided`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        customSanitizer: (data) => {
+          if (typeof data === 'string') return 'SAFE';
+          if (Array.isArray(data)) return data.map(() => 'SAFE');
+          if (typeof data === 'object' && data !== null) {
+            const out = {};
+            for (const k in data) {
+              if (Array.isArray(data[k])) {
+                out[k] = data[k].map(() => 'SAFE');
+              } else if (typeof data[k] === 'string') {
+                out[k] = 'SAFE';
+              } else {
+                out[k] = data[k];
+              }
+            }
+            return out;
+          }
+          return data;
+        },
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ foo: '$bar', arr: ['$baz', '$qux'] }),
+    });
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, { foo: 'SAFE', arr: ['SAFE', 'SAFE'] });
+    server.close();
+  });
+
+  test(`[${version.name}] should sanitize query`, async () => {
+    const app = version.app();
+    app.use(express.json());
     app.use(expressMongoSanitize());
 
     app.get('/', (req, res) => {
@@ -431,7 +1153,1322 @@ for (const version of expressVersions) {
 
     server.close();
   });
-}
+
+  test(`[${version.name}] should flatten query strings and refuse nested syntax`, async () => {
+    const app = version.app();
+    app.use(expressMongoSanitize({ queryOptions: { flatten: true } }));
+
+    app.get('/', (req, res) => {
+      res.json({ query: req.query, findings: req.sanitizeReport.findings.map((finding) => finding.path) });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(
+      `http://localhost:${port}/?user[$ne]=x&name=$a&ids[]=1&ids[]=2&tag=a&tag=b&a[__proto__][b]=1&idx[1]=b&idx[0]=a`
+    );
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      query: { name: 'a', ids: ['1', '2'], tag: ['a', 'b'], idx: ['a', 'b'] },
+      findings: ['query.user', 'query.a', 'query.name'],
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should limit query array indexes`, async () => {
+    const app = version.app();
+    app.get('/drop', expressMongoSanitize({ queryOptions: { maxArrayIndex: 10 } }), (req, res) => {
+      res.json(req.query);
+    });
+    app.get('/reject', expressMongoSanitize({ queryOptions: { maxArrayIndex: 10, action: 'reject' } }), (req, res) => {
+      res.json(req.query);
+    });
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ type: err.type, message: err.message });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const dropped = await fetch(`http://localhost:${port}/drop?ids[50]=x&q=1`);
+    assert.strictEqual(dropped.status, 200);
+    assert.deepStrictEqual(await dropped.json(), { q: '1' });
+
+    const rejected = await fetch(`http://localhost:${port}/reject?ids[50]=x&q=1`);
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(await rejected.json(), {
+      type: 'invalid_query',
+      message: "Query parameter 'ids' exceeds the maximum array index of 10",
+    });
+
+    const accepted = await fetch(`http://localhost:${port}/reject?q=1`);
+    assert.strictEqual(accepted.status, 200);
+    assert.deepStrictEqual(await accepted.json(), { q: '1' });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should reject injected payloads in reject mode`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ mode: 'reject' }));
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    app.use((err, req, res, next) => {
+      assert.ok(err instanceof ExpressMongoSanitizeError);
+      assert.strictEqual(err.type, 'injection_detected');
+      assert.strictEqual(err.source, 'body');
+      assert.deepStrictEqual(
+        err.findings.map((finding) => finding.path),
+        ['body.password.$ne']
+      );
+      res.status(err.statusCode).json(err.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const rejected = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: { $ne: null } }),
+    });
+
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(await rejected.json(), {
+      statusCode: 400,
+      error: 'injection_detected',
+      message: 'Request contains forbidden characters',
+    });
+
+    const accepted = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', email: 'test@example.com' }),
+    });
+
+    assert.strictEqual(accepted.status, 200);
+    assert.deepStrictEqual(await accepted.json(), { username: 'admin', email: 'test@example.com' });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should only report injections in monitor mode`, async () => {
+    const app = version.app();
+    const reports = [];
+    const sanitizer = expressMongoSanitize({
+      mode: 'monitor',
+      sanitizeObjects: ['body', 'query', 'params'],
+      limitOptions: { maxArrayLength: 2, action: 'reject' },
+      onSanitize: (report) => reports.push(report.findings.map((finding) => finding.path)),
+    });
+    app.use(express.json());
+    app.use(sanitizer);
+
+    app.post('/users/:id', (req, res) => {
+      res.json({ body: req.body, query: req.query, params: req.params, findings: req.sanitizeReport.findings.length });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const post = (path, body) =>
+      fetch(`http://localhost:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    const flagged = await post('/users/$id?sort=a.b', { password: { $ne: null }, tags: [1, 2, 3] });
+    assert.strictEqual(flagged.status, 200);
+    assert.deepStrictEqual(await flagged.json(), {
+      body: { password: { $ne: null }, tags: [1, 2, 3] },
+      query: { sort: 'a.b' },
+      params: { id: '$id' },
+      findings: 3,
+    });
+
+    const clean = await post('/users/42', { name: 'test' });
+    assert.strictEqual(clean.status, 200);
+    assert.deepStrictEqual(await clean.json(), {
+      body: { name: 'test' },
+      query: {},
+      params: { id: '42' },
+      findings: 0,
+    });
+
+    assert.deepStrictEqual(reports, [['body.password.$ne', 'query.sort'], []]);
+    assert.deepStrictEqual(sanitizer.stats, { requests: 2, flagged: 1, findings: 3 });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should expose a sanitization report`, async () => {
+    const app = version.app();
+    const reports = [];
+    app.use(express.json());
+    app.use(expressMongoSanitize({ onSanitize: (report, req) => reports.push({ report, url: req.url }) }));
+
+    app.post('/', (req, res) => {
+      res.json(req.sanitizeReport);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/?sort=name`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filter: { $where: 'sleep(1)' }, tags: ['ok', '$bad'] }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      sanitized: true,
+      findings: [
+        {
+          path: 'body.filter.$where',
+          type: 'key',
+          action: 'replaced',
+          patterns: [String(/\$/g)],
+          before: '$where',
+          after: 'where',
+        },
+        {
+          path: 'body.filter.$where',
+          type: 'value',
+          action: 'replaced',
+          patterns: [String(/[\\\/{}.(*+?|[\]^)]/g)],
+          before: 'sleep(1)',
+          after: 'sleep1',
+        },
+        {
+          path: 'body.tags[1]',
+          type: 'value',
+          action: 'replaced',
+          patterns: [String(/\$/g)],
+          before: '$bad',
+          after: 'bad',
+        },
+      ],
+    });
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].url, '/?sort=name');
+    assert.deepStrictEqual(reports[0].report, data);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should report removed matches`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ removeMatches: true }));
+
+    app.post('/', (req, res) => {
+      res.json({
+        body: req.body,
+        findings: req.sanitizeReport.findings.map(({ path, type, action }) => [path, type, action]),
+      });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ $gt: 1, name: 'a.b', ok: 'fine' }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, {
+      body: { ok: 'fine' },
+      findings: [
+        ['body.$gt', 'key', 'removed'],
+        ['body.name', 'value', 'removed'],
+      ],
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should use custom rejectOptions`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        mode: 'reject',
+        rejectOptions: { statusCode: 422, type: 'nosql_injection', body: { error: 'Invalid input' } },
+      })
+    );
+
+    app.get('/', (req, res) => {
+      res.json(req.query);
+    });
+
+    app.use((err, req, res, next) => {
+      assert.strictEqual(err.type, 'nosql_injection');
+      assert.strictEqual(err.source, 'query');
+      res.status(err.statusCode).json(err.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/?username[$gt]=`);
+
+    assert.strictEqual(response.status, 422);
+    assert.deepStrictEqual(await response.json(), { error: 'Invalid input' });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should send redacted entries to a custom logger`, async () => {
+    const entries = [];
+    const collect = (level) => (fields, message) => entries.push({ level, fields, message });
+    const logger = { error: collect('error'), warn: collect('warn'), info: collect('info'), debug: collect('debug') };
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        debug: { enabled: true, level: 'debug', logger, redact: ['password', 'body.card.number'] },
+      })
+    );
+
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user: { password: '$ecret', name: '$bob' },
+        card: { number: '4111.1111', holder: 'Bob' },
+      }),
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.ok(entries.length > 0);
+    assert.ok(
+      entries.every(({ fields, message }) => typeof message === 'string' && typeof fields.context === 'string')
+    );
+    const serialized = JSON.stringify(entries);
+    assert.ok(!serialized.includes('ecret'));
+    assert.ok(!serialized.includes('4111'));
+    assert.ok(serialized.includes('bob'));
+    const before = entries.find(({ message }) => message === "'body' sanitized").fields.data.before;
+    assert.deepStrictEqual(before, {
+      user: { password: '[REDACTED]', name: '$bob' },
+      card: { number: '[REDACTED]', holder: 'Bob' },
+    });
+
+    server.close();
+  });
+
+  test(`[${version.name}] should log request URLs without their query string`, async () => {
+    const entries = [];
+    const collect = (level) => (fields, message) => entries.push({ level, fields, message });
+    const logger = { error: collect('error'), warn: collect('warn'), info: collect('info'), debug: collect('debug') };
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ mode: 'reject', debug: { enabled: true, level: 'trace', logger } }));
+
+    app.post('/login', (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/login?token=SUPERSECRET&password=hunter2`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ user: { $ne: null } }),
+    });
+
+    assert.strictEqual(response.status, 400);
+    const urls = entries.filter(({ fields }) => fields.data?.url).map(({ fields }) => fields.data.url);
+    assert.ok(urls.length >= 2);
+    assert.ok(urls.every((url) => url === '/login'));
+    const serialized = JSON.stringify(entries);
+    assert.ok(!serialized.includes('SUPERSECRET'));
+    assert.ok(!serialized.includes('hunter2'));
+
+    server.close();
+  });
+
+  test(`[${version.name}] should report requests, findings, rejections and skipped routes to metrics`, async () => {
+    const app = version.app();
+    const calls = [];
+    const metrics = {
+      increment: (name, tags) => calls.push([name, tags]),
+      observe: (name, value, tags) => {
+        assert.ok(typeof value === 'number' && value >= 0);
+        calls.push([name, tags]);
+      },
+    };
+    app.use(express.json());
+    app.use(expressMongoSanitize({ metrics, skipRoutes: ['/health'] }));
+
+    app.post('/users', (req, res) => {
+      res.json(req.body);
+    });
+    app.post('/strict', expressMongoSanitize.route({ mode: 'reject' }), (req, res) => {
+      res.json(req.body);
+    });
+    app.post('/health', (req, res) => {
+      res.json(req.body);
+    });
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ error: err.type });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const post = (path) =>
+      fetch(`http://localhost:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: { $ne: null } }),
+      });
+
+    assert.strictEqual((await post('/users')).status, 200);
+    assert.strictEqual((await post('/health')).status, 200);
+    calls.length = 0;
+    assert.strictEqual((await post('/strict')).status, 400);
+
+    assert.deepStrictEqual(calls, [
+      ['mongo_sanitize_requests_total', { route: 'unmatched', mode: 'auto' }],
+      ['mongo_sanitize_sanitized_fields_total', { route: 'unmatched', source: 'body', type: 'key', pattern: '/\\$/g' }],
+      ['mongo_sanitize_duration_seconds', { route: 'unmatched', mode: 'auto' }],
+      ['mongo_sanitize_requests_total', { route: '/strict', mode: 'reject' }],
+      ['mongo_sanitize_sanitized_fields_total', { route: '/strict', source: 'body', type: 'key', pattern: '/\\$/g' }],
+      ['mongo_sanitize_duration_seconds', { route: '/strict', mode: 'reject' }],
+      ['mongo_sanitize_rejected_total', { route: '/strict', mode: 'reject', type: 'injection_detected' }],
+    ]);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should label metrics with route patterns, never request paths`, async () => {
+    const app = version.app();
+    const registry = createPrometheusMetrics();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ metrics: registry, skipRoutes: ['/health/*'] }));
+
+    app.post('/users/:id', expressMongoSanitize.route({ metrics: registry }), (req, res) => {
+      res.json(req.body);
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const post = (path) =>
+      fetch(`http://localhost:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: { $ne: null } }),
+      });
+
+    for (let i = 0; i < 5; i++) {
+      await post(`/users/${i}`);
+      await post(`/health/${i}`);
+      await post(`/random-${i}`);
+    }
+
+    const routes = new Set(registry.metrics().match(/route="[^"]*"/g));
+    assert.deepStrictEqual([...routes].sort(), ['route="/users/:id"', 'route="unmatched"']);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should emit lifecycle events to every listener`, async () => {
+    const app = version.app();
+    const events = [];
+    const audit = [];
+    const sanitizer = expressMongoSanitize({ skipRoutes: ['/health'] });
+    const strict = expressMongoSanitize.route({ mode: 'reject' });
+    const failing = expressMongoSanitize.route({
+      customSanitizer: () => {
+        throw new Error('custom sanitizer failed');
+      },
+    });
+    assert.strictEqual(
+      sanitizer
+        .on('sanitized', ({ req, mode, paths, patterns }) =>
+          events.push(['sanitized', req.path, mode, paths, patterns])
+        )
+        .on('skipped', ({ req, route }) => events.push(['skipped', req.path, route])),
+      sanitizer
+    );
+    sanitizer.on('sanitized', ({ paths }) => audit.push(paths));
+    strict.on('rejected', ({ type, paths, error }) => events.push(['rejected', type, paths, error.statusCode]));
+    failing.on('error', ({ error }) => events.push(['error', error.message]));
+    assert.strictEqual(sanitizer.listenerCount('sanitized'), 2);
+
+    app.use(express.json());
+    app.use(sanitizer);
+    app.post('/users', (req, res) => res.json(req.body));
+    app.post('/strict', strict, (req, res) => res.json(req.body));
+    app.post('/failing', failing, (req, res) => res.json(req.body));
+    app.post('/health', (req, res) => res.json(req.body));
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ error: err.message });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const post = (path, body) =>
+      fetch(`http://localhost:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    assert.strictEqual((await post('/users', { name: 'test' })).status, 200);
+    assert.strictEqual((await post('/users', { 'a.b': { $ne: null } })).status, 200);
+    assert.strictEqual((await post('/health', { $where: 'x' })).status, 200);
+    assert.strictEqual((await post('/strict', { $where: 'x' })).status, 400);
+    assert.strictEqual((await post('/failing', { name: 'test' })).status, 500);
+
+    assert.deepStrictEqual(events, [
+      ['sanitized', '/users', 'auto', ['body.a.b', 'body.a.b.$ne'], ['/\\./g', '/[\\\\\\/{}.(*+?|[\\]^)]/g', '/\\$/g']],
+      ['skipped', '/health', '/health'],
+      ['sanitized', '/strict', 'auto', ['body.$where'], ['/\\$/g']],
+      ['rejected', 'injection_detected', ['body.$where'], 400],
+      ['error', 'custom sanitizer failed'],
+    ]);
+    assert.deepStrictEqual(audit, [['body.a.b', 'body.a.b.$ne'], ['body.$where']]);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should not sanitize a request twice with app-level and router-level instances`, async () => {
+    const reports = [];
+    const app = version.app();
+    const router = version.app.Router();
+    app.use(express.json());
+    app.use(expressMongoSanitize());
+    router.use(expressMongoSanitize({ onSanitize: (report) => reports.push(report) }));
+    router.post('/', (req, res) => {
+      res.json({ body: req.body, sanitized: isSanitized(req, 'body') });
+    });
+    app.use('/api', router);
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/api`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ $where: '$x' }),
+    });
+
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data, { body: { where: 'x' }, sanitized: true });
+    assert.deepStrictEqual(reports, [{ sanitized: false, findings: [] }]);
+
+    server.close();
+  });
+
+  test(`[${version.name}] should apply route-level options over the app-level config`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ replaceWith: '_' }));
+
+    app.post('/products', expressMongoSanitize.route({ exemptPaths: ['body.price'] }), (req, res) => {
+      res.json(req.body);
+    });
+    app.post('/strict', expressMongoSanitize.route({ mode: 'reject' }), (req, res) => {
+      res.json(req.body);
+    });
+    app.post('/', (req, res) => {
+      res.json(req.body);
+    });
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ error: err.type });
+    });
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const post = (path) =>
+      fetch(`http://localhost:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ price: '$19.99', $where: 'x' }),
+      });
+
+    const products = await post('/products');
+    assert.strictEqual(products.status, 200);
+    assert.deepStrictEqual(await products.json(), { price: '$19.99', _where: 'x' });
+
+    const strict = await post('/strict');
+    assert.strictEqual(strict.status, 400);
+    assert.deepStrictEqual(await strict.json(), { error: 'injection_detected' });
+
+    const plain = await post('/');
+    assert.deepStrictEqual(await plain.json(), { price: '_19_99', _where: 'x' });
+
+    server.close();
+  });
+}
+
+test('sanitize() should return a sanitized copy without mutating the input', () => {
+  const input = { user: { $where: 'x.y' }, list: ['$a', 1, null] };
+  const output = sanitize(input, { replaceWith: '_' });
+
+  assert.deepStrictEqual(output, { user: { _where: 'x_y' }, list: ['_a', 1, null] });
+  assert.deepStrictEqual(input, { user: { $where: 'x.y' }, list: ['$a', 1, null] });
+  assert.notStrictEqual(output.user, input.user);
+  assert.strictEqual(sanitize('$admin'), 'admin');
+  assert.strictEqual(sanitize(42), 42);
+});
+
+test('hasInjection() should detect matching keys and values', () => {
+  assert.strictEqual(hasInjection({ password: { $ne: null } }), true);
+  assert.strictEqual(hasInjection(['ok', { nested: ['a.b'] }]), true);
+  assert.strictEqual(hasInjection({ username: 'admin', email: 'test@example.com' }), false);
+  assert.strictEqual(hasInjection('a.b', { patterns: [/\$/g] }), false);
+});
+
+test('deniedKeys path rules should only match the given path', () => {
+  const input = { role: 'user', profile: { settings: { role: 'admin' } } };
+
+  assert.deepStrictEqual(sanitize(input, { deniedKeys: ['role'] }), { profile: { settings: {} } });
+  assert.deepStrictEqual(sanitize(input, { deniedKeys: ['profile.settings.role'] }), {
+    role: 'user',
+    profile: { settings: {} },
+  });
+  assert.deepStrictEqual(sanitize(input, { deniedKeys: ['**.role'] }), { profile: { settings: {} } });
+  assert.throws(() => sanitize(input, { deniedKeys: ['profile..role'] }), ExpressMongoSanitizeError);
+});
+
+test('exempt subtrees should still have their keys sanitized', () => {
+  const input = { settings: { $set: { 'a.b': '$1.0' } } };
+
+  assert.deepStrictEqual(sanitize(input, { exemptPaths: ['settings'] }), { settings: { set: { ab: '$1.0' } } });
+  assert.strictEqual(hasInjection({ price: '$19.99' }, { exemptPaths: ['price'] }), false);
+  assert.strictEqual(hasInjection({ $price: '19' }, { exemptPaths: ['$price'] }), true);
+});
+
+test('expressMongoSanitize() should reject unsupported skipRoutes entries', () => {
+  assert.throws(() => expressMongoSanitize({ skipRoutes: [42] }), {
+    name: 'ExpressMongoSanitizeError',
+    type: 'type_error',
+  });
+  assert.throws(() => expressMongoSanitize({ skipRoutes: [{}] }), ExpressMongoSanitizeError);
+});
+
+test('expressMongoSanitize() should reject unknown sanitizeObjects', () => {
+  assert.throws(() => expressMongoSanitize({ sanitizeObjects: ['body', 'files'] }), ExpressMongoSanitizeError);
+});
+
+test('sanitize() should never modify Object.prototype', () => {
+  const input = JSON.parse('{"__proto__":{"polluted":true},"a":[{"constructor":{"prototype":{"polluted":true}}}]}');
+  const output = sanitize(input);
+
+  assert.deepStrictEqual(output, { a: [{}] });
+  assert.strictEqual(Object.getPrototypeOf(output), Object.prototype);
+  assert.deepStrictEqual(sanitize({ __pro$to__: { polluted: true } }), {});
+  assert.strictEqual(hasInjection(JSON.parse('{"__proto__":{}}'), { patterns: [] }), true);
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('limitOptions should truncate oversized values by default', () => {
+  const input = { a: { b: { c: { d: 1 } } }, list: [1, 2, 3, 4], text: 'abcdefgh', extra: true };
+  const output = sanitize(input, {
+    limitOptions: { maxDepth: 3, maxKeys: 3, maxArrayLength: 2, maxStringLength: 4 },
+  });
+
+  assert.deepStrictEqual(output, { a: { b: {} }, list: [1, 2], text: 'abcd' });
+  assert.throws(() => sanitize({ text: 'abcdefgh' }, { limitOptions: { maxStringLength: 4, action: 'reject' } }), {
+    type: 'limit_exceeded',
+    statusCode: 413,
+  });
+  assert.throws(() => sanitize({}, { limitOptions: { maxDepth: 0 } }), ExpressMongoSanitizeError);
+});
+
+test('limitOptions should remove or reject over-long keys instead of truncating them', () => {
+  const options = { limitOptions: { maxStringLength: 4 } };
+  assert.deepStrictEqual(sanitize({ roleX: 'admin', roleY: 'user', name: 'bob' }, options), { name: 'bob' });
+  assert.strictEqual(hasInjection({ roleX: 'admin' }, options), true);
+  assert.throws(() => sanitize({ roleX: 'x' }, { limitOptions: { maxStringLength: 4, action: 'reject' } }), {
+    type: 'limit_exceeded',
+    message: "Maximum key length of 4 exceeded at 'roleX'",
+  });
+  assert.deepStrictEqual(sanitize({ roleX: 'a' }, { ...options, mode: 'monitor' }), { roleX: 'a' });
+});
+
+test('recursive: false should only sanitize the top level', () => {
+  const input = { $where: '$x', nested: { $ne: '$y' }, list: ['$z'] };
+
+  assert.deepStrictEqual(sanitize(input, { recursive: false }), {
+    where: 'x',
+    nested: { $ne: '$y' },
+    list: ['$z'],
+  });
+});
+
+test('sanitize() and hasInjection() should validate options', () => {
+  assert.throws(() => sanitize({}, 'invalid'), ExpressMongoSanitizeError);
+  assert.throws(() => hasInjection({}, { mode: 'unknown' }), { name: 'ExpressMongoSanitizeError', type: 'type_error' });
+});
+
+test('preserve should keep emails by default and be configurable', () => {
+  assert.strictEqual(sanitize('user@example.com'), 'user@example.com');
+  assert.strictEqual(sanitize('user@example.com', { preserve: [] }), 'user@examplecom');
+  assert.strictEqual(sanitize({ mail: 'user@example.com' }, { preserve: [] }).mail, 'user@examplecom');
+  assert.strictEqual(hasInjection('user@example.com'), false);
+  assert.strictEqual(hasInjection('user@example.com', { preserve: [] }), true);
+});
+
+test('preserve should support every built-in format', () => {
+  const input = {
+    email: 'user@example.com',
+    url: 'https://example.com/a.b?c=d',
+    uuid: '550E8400-E29B-41D4-A716-446655440000',
+    date: '2024-05-01',
+    objectid: '507f1f77bcf86cd799439011',
+    semver: '1.2.3-beta.1+build.5',
+  };
+  const preserve = ['email', 'url', 'uuid', 'iso-date', 'objectid', 'semver'];
+
+  assert.deepStrictEqual(sanitize(input, { preserve }), input);
+  assert.deepStrictEqual(sanitize({ url: 'javascript:alert(1)', date: '2024-13-45', semver: '1.2' }, { preserve }), {
+    url: 'javascript:alert1',
+    date: '2024-13-45',
+    semver: '12',
+  });
+});
+
+test('preserve should call custom predicates with the value path', () => {
+  const calls = [];
+  const isSku = (value, path) => {
+    calls.push(path);
+    return /^SKU\.\d+$/.test(value);
+  };
+
+  assert.deepStrictEqual(sanitize({ items: [{ sku: 'SKU.42' }, { sku: '$SKU.1x' }] }, { preserve: [isSku] }), {
+    items: [{ sku: 'SKU.42' }, { sku: 'SKU1x' }],
+  });
+  assert.deepStrictEqual(calls, ['items[0].sku', 'items[1].sku']);
+});
+
+test('preserve field rules should override the global list for their path', () => {
+  const options = { fieldRules: { contact: { preserve: [] } } };
+
+  assert.deepStrictEqual(sanitize({ contact: 'a@b.co', owner: 'c@d.co' }, options), {
+    contact: 'a@bco',
+    owner: 'c@d.co',
+  });
+});
+
+test('preserve should reject unknown formats', () => {
+  assert.throws(() => sanitize('x', { preserve: ['phone'] }), {
+    name: 'ExpressMongoSanitizeError',
+    type: 'type_error',
+  });
+  assert.throws(() => sanitize('x', { fieldRules: { a: { preserve: 'url' } } }), ExpressMongoSanitizeError);
+});
+
+test('debug logging should call winston-style loggers with the message first', () => {
+  const calls = [];
+  const logger = {
+    transports: [],
+    error: (...args) => calls.push(args),
+    warn: (...args) => calls.push(args),
+    info: (...args) => calls.push(args),
+    debug: (...args) => calls.push(args),
+  };
+
+  sanitize({ name: '$bob' }, { debug: { enabled: true, level: 'trace', logger } });
+
+  assert.ok(calls.length > 0);
+  assert.ok(calls.every(([message, fields]) => typeof message === 'string' && typeof fields === 'object'));
+});
+
+test('debug logging should write single-line JSON without colors', () => {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    sanitize(
+      { token: '$abc', name: '$bob' },
+      { debug: { enabled: true, level: 'debug', format: 'json', colors: true } }
+    );
+  } finally {
+    console.log = original;
+  }
+
+  assert.ok(lines.length > 0);
+  const entries = lines.map((line) => JSON.parse(line));
+  assert.ok(lines.every((line) => !line.includes('\x1b') && !line.includes('\n')));
+  assert.ok(entries.every((entry) => entry.name === 'mongo-sanitize' && entry.level === 'debug'));
+  assert.deepStrictEqual(
+    entries.map(({ data }) => data),
+    [
+      { original: '[REDACTED]', result: '[REDACTED]' },
+      { original: '$bob', result: 'bob' },
+    ]
+  );
+});
+
+test('debug logging should only use colors when enabled or attached to a TTY', () => {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    sanitize('$a', { debug: { enabled: true, level: 'debug', colors: true } });
+    sanitize('$a', { debug: { enabled: true, level: 'debug', colors: false } });
+  } finally {
+    console.log = original;
+  }
+
+  assert.ok(lines[0].includes('\x1b[90m'));
+  assert.ok(lines.slice(2).every((line) => !line.includes('\x1b')));
+});
+
+test('debug options should be validated', () => {
+  assert.throws(() => sanitize('x', { debug: { format: 'xml' } }), ExpressMongoSanitizeError);
+  assert.throws(() => sanitize('x', { debug: { level: 'verbose' } }), ExpressMongoSanitizeError);
+  assert.throws(() => sanitize('x', { debug: { logger: {} } }), ExpressMongoSanitizeError);
+  assert.throws(() => sanitize('x', { debug: { redact: 'password' } }), ExpressMongoSanitizeError);
+});
+
+test('markSanitized() should make expressMongoSanitize() leave request objects untouched', () => {
+  const req = { body: { $where: '$x' }, query: { $ne: '1' } };
+  markSanitized(req, ['body']);
+
+  expressMongoSanitize()(req, {}, () => {});
+
+  assert.deepStrictEqual(req.body, { $where: '$x' });
+  assert.deepStrictEqual(req.query, { ne: '1' });
+  assert.strictEqual(isSanitized(req, 'body'), true);
+  assert.strictEqual(isSanitized(req, 'query'), true);
+  req.body = { other: true };
+  assert.strictEqual(isSanitized(req, 'body'), false);
+});
+
+test('expressMongoSanitize.route() should not process marked or already sanitized objects twice', () => {
+  const marked = { body: { a: '$x' } };
+  markSanitized(marked, ['body']);
+  expressMongoSanitize.route({ exemptPaths: ['body.price'] })(marked, {}, () => {});
+  assert.deepStrictEqual(marked.body, { a: '$x' });
+
+  const calls = [];
+  const customSanitizer = (value) => {
+    calls.push(value);
+    return { ...value, sanitized: true };
+  };
+  const req = { body: { a: '$x' } };
+  expressMongoSanitize({ customSanitizer })(req, {}, () => {});
+  expressMongoSanitize.route()(req, {}, () => {});
+  expressMongoSanitize.route({ customSanitizer })(req, {}, () => {});
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(req.body, { a: '$x', sanitized: true });
+
+  expressMongoSanitize.route({ exemptPaths: ['body.a'] })(req, {}, () => {});
+  assert.strictEqual(calls.length, 2);
+});
+
+test('expressMongoSanitize.route() should work without an app-level instance', () => {
+  const req = { body: { $where: '$x', price: '$1.5' } };
+
+  expressMongoSanitize.route({ exemptPaths: ['body.price'] })(req, {}, () => {});
+
+  assert.deepStrictEqual(req.body, { where: 'x', price: '$1.5' });
+  assert.throws(() => expressMongoSanitize.route({ mode: 'unknown' }), ExpressMongoSanitizeError);
+});
+
+test('nested options should be deep-merged with the defaults', () => {
+  assert.deepStrictEqual(sanitize({ text: ' $ABC ', list: ['x', 'x'] }, { stringOptions: { trim: true } }), {
+    text: 'ABC',
+    list: ['x', 'x'],
+  });
+  assert.strictEqual(sanitize('abcdefgh', { limitOptions: { maxStringLength: 4 } }), 'abcd');
+});
+
+test('req.sanitize() should merge custom options over the instance options', () => {
+  const req = { body: { $name: ' $Bob ', role: 'admin' } };
+  expressMongoSanitize({ mode: 'manual', stringOptions: { trim: true } })(req, {}, () => {});
+
+  req.sanitize({ allowedKeys: ['$name'], stringOptions: { lowercase: true } });
+
+  assert.deepStrictEqual(req.body, { name: 'bob' });
+  assert.throws(() => req.sanitize({ replaceWith: 1 }), ExpressMongoSanitizeError);
+});
+
+test('validateOptions should report the exact option path', () => {
+  const cases = [
+    [{ limitOptions: { maxDepth: -1 } }, 'limitOptions.maxDepth', /must be a positive integer or null, received -1/],
+    [{ patterns: [/a/, 'b'] }, 'patterns[1]', /must be a RegExp, received "b"/],
+    [{ stringOptions: { trim: 'yes' } }, 'stringOptions.trim', /must be a boolean/],
+    [
+      { fieldRules: { 'body.a': { patterns: 'x' } } },
+      'fieldRules["body.a"].patterns',
+      /must be an array, received "x"/,
+    ],
+    [{ rejectOptions: { statusCode: 200 } }, 'rejectOptions.statusCode', /HTTP error status code/],
+    [{ debug: { enabled: 'true' } }, 'debug.enabled', /must be a boolean/],
+    [{ allowedOperators: { 'body.filter': ['$eq', 1] } }, 'allowedOperators["body.filter"][1]', /must be a string/],
+    [{ allowedOperators: { '**': ['$in', '$where'] } }, 'allowedOperators["**"][1]', /other than \$where/],
+    [
+      { allowedOperators: { 'body.filter': { action: 'reject' } } },
+      'allowedOperators["body.filter"].operators',
+      /must be an array/,
+    ],
+    [
+      { allowedOperators: { 'body.filter': { operators: ['$regex'], regex: 'raw' } } },
+      'allowedOperators["body.filter"].regex',
+      /must be one of "check", "escape"/,
+    ],
+  ];
+
+  for (const [options, option, message] of cases) {
+    assert.throws(() => sanitize({}, options), {
+      name: 'ExpressMongoSanitizeError',
+      type: 'type_error',
+      option,
+      message,
+    });
+  }
+});
+
+test('paramSanitizeHandler() should validate its options', () => {
+  assert.throws(() => paramSanitizeHandler({ replaceWith: 1 }), { type: 'type_error', option: 'replaceWith' });
+});
+
+test('unknown options should emit a warning once', async () => {
+  const warning = once(process, 'warning');
+  expressMongoSanitize({ stringOptions: { trimm: true } });
+  expressMongoSanitize({ stringOptions: { trimm: true } });
+
+  const [{ name, code, message }] = await warning;
+  assert.strictEqual(name, 'ExpressMongoSanitizeWarning');
+  assert.strictEqual(code, 'EXPRESS_MONGO_SANITIZE_UNKNOWN_OPTION');
+  assert.match(message, /"stringOptions\.trimm"/);
+});
+
+test('createPrometheusMetrics() should render counters and histograms in the text format', () => {
+  const registry = createPrometheusMetrics({ buckets: [0.01, 0.001] });
+  registry.increment('mongo_sanitize_requests_total', { route: '/users', mode: 'auto' });
+  registry.increment('mongo_sanitize_requests_total', { route: '/users', mode: 'auto' });
+  registry.increment('mongo_sanitize_skipped_total', { route: '/say "hi"\\', mode: 'auto' });
+  registry.observe('mongo_sanitize_duration_seconds', 0.005, { route: '/users' });
+
+  assert.strictEqual(registry.contentType, 'text/plain; version=0.0.4; charset=utf-8');
+  assert.strictEqual(
+    registry.metrics(),
+    [
+      '# HELP mongo_sanitize_requests_total Requests inspected by the sanitizer',
+      '# TYPE mongo_sanitize_requests_total counter',
+      'mongo_sanitize_requests_total{route="/users",mode="auto"} 2',
+      '# HELP mongo_sanitize_skipped_total Requests on skipped routes',
+      '# TYPE mongo_sanitize_skipped_total counter',
+      'mongo_sanitize_skipped_total{route="/say \\"hi\\"\\\\",mode="auto"} 1',
+      '# HELP mongo_sanitize_duration_seconds Time spent sanitizing a request in seconds',
+      '# TYPE mongo_sanitize_duration_seconds histogram',
+      'mongo_sanitize_duration_seconds_bucket{route="/users",le="0.001"} 0',
+      'mongo_sanitize_duration_seconds_bucket{route="/users",le="0.01"} 1',
+      'mongo_sanitize_duration_seconds_bucket{route="/users",le="+Inf"} 1',
+      'mongo_sanitize_duration_seconds_sum{route="/users"} 0.005',
+      'mongo_sanitize_duration_seconds_count{route="/users"} 1',
+      '',
+    ].join('\n')
+  );
+
+  registry.reset();
+  assert.strictEqual(registry.metrics(), '');
+  assert.throws(() => createPrometheusMetrics({ buckets: ['1'] }), /"buckets" must be an array of numbers/);
+});
+
+test('metrics sinks should be validated and their errors should not break sanitization', () => {
+  assert.throws(() => expressMongoSanitize({ metrics: { increment: () => {} } }), /"metrics" must be an object/);
+  const middleware = expressMongoSanitize({
+    metrics: {
+      increment: () => {
+        throw new Error('sink down');
+      },
+      observe: () => {},
+    },
+  });
+  const req = { body: { $where: 'x' }, query: {}, path: '/' };
+  let forwarded;
+  middleware(req, {}, (error) => (forwarded = error));
+  assert.strictEqual(forwarded, undefined);
+  assert.deepStrictEqual(req.body, { where: 'x' });
+});
+
+test('sanitize() should sanitize Map keys and values and Set entries into new collections', () => {
+  const map = new Map([
+    ['$gt', '$1'],
+    [42, { 'a.b': 'c' }],
+  ]);
+  const set = new Set(['$where', 'plain']);
+  const result = sanitize({ map, set });
+
+  assert.ok(result.map instanceof Map && result.map !== map);
+  assert.deepStrictEqual(
+    [...result.map],
+    [
+      ['gt', '1'],
+      [42, { ab: 'c' }],
+    ]
+  );
+  assert.ok(result.set instanceof Set);
+  assert.deepStrictEqual([...result.set], ['where', 'plain']);
+  assert.deepStrictEqual([...map.keys()], ['$gt', 42]);
+  assert.strictEqual(hasInjection(new Map([['$ne', null]])), true);
+  assert.strictEqual(hasInjection(new Set(['safe'])), false);
+});
+
+test('sanitize() should leave binary data, built-ins and safe BSON values untouched', () => {
+  class ObjectId {
+    constructor(hex) {
+      this.buffer = Buffer.from(hex, 'hex');
+    }
+  }
+  ObjectId.prototype._bsontype = 'ObjectId';
+  class Code {
+    constructor(code) {
+      this.code = code;
+    }
+  }
+  Code.prototype._bsontype = 'Code';
+
+  const value = {
+    buffer: Buffer.from('$where'),
+    bytes: new Uint8Array([36, 46]),
+    pattern: /\$.*/,
+    id: new ObjectId('65f1a2b3c4d5e6f7a8b9c0d1'),
+    code: new Code('this.$secret'),
+  };
+  const result = sanitize(value);
+
+  assert.strictEqual(result.buffer, value.buffer);
+  assert.strictEqual(result.bytes, value.bytes);
+  assert.strictEqual(result.pattern, value.pattern);
+  assert.strictEqual(result.id, value.id);
+  assert.ok(result.code instanceof Code);
+  assert.strictEqual(result.code.code, 'thissecret');
+
+  const spoofed = { user: { _bsontype: 'ObjectId', $ne: null } };
+  assert.deepStrictEqual(sanitize(spoofed), { user: { _bsontype: 'ObjectId', ne: null } });
+  assert.deepStrictEqual(sanitize(spoofed, { strategy: 'operators' }), { user: { _bsontype: 'ObjectId' } });
+  assert.strictEqual(hasInjection(spoofed), true);
+});
+
+test('sanitize() should keep the prototype of class instances', () => {
+  class User {
+    constructor(name) {
+      this.name = name;
+    }
+    greet() {
+      return `hi ${this.name}`;
+    }
+  }
+  const clean = new User('bob');
+  const dirty = new User('$bob');
+  const result = sanitize({ clean, dirty });
+
+  assert.strictEqual(result.clean, clean);
+  assert.ok(result.dirty instanceof User);
+  assert.notStrictEqual(result.dirty, dirty);
+  assert.strictEqual(result.dirty.greet(), 'hi bob');
+  assert.strictEqual(dirty.name, '$bob');
+});
+
+test('arrayOptions.filterNull should only drop null and undefined', () => {
+  assert.deepStrictEqual(sanitize([0, false, '', null, undefined, 'a'], { arrayOptions: { filterNull: true } }), [
+    0,
+    false,
+    '',
+    'a',
+  ]);
+});
+
+test('schema rules should coerce, remove or keep values by type', () => {
+  const schema = {
+    name: 'string',
+    age: 'number',
+    active: 'boolean',
+    born: 'scalar',
+    profile: 'object',
+    'items[].qty': 'number',
+    meta: 'any',
+  };
+  const result = sanitize(
+    {
+      name: 42,
+      age: 'abc',
+      active: '0',
+      born: ['2020'],
+      profile: 'x',
+      items: [{ qty: '3' }, { qty: { $gt: 0 } }],
+      meta: { nested: true },
+      other: { kept: 1 },
+    },
+    { schema }
+  );
+  assert.deepStrictEqual(result, {
+    name: '42',
+    active: false,
+    items: [{ qty: 3 }, {}],
+    meta: { nested: true },
+    other: { kept: 1 },
+  });
+  assert.deepStrictEqual(sanitize({ name: null }, { schema }), { name: null });
+  assert.strictEqual(hasInjection({ age: '7' }, { schema }), false);
+  assert.strictEqual(hasInjection({ name: { a: 1 } }, { schema }), true);
+  assert.throws(() => sanitize({}, { schema: { name: 'text' } }), /"schema\["name"\]" must be one of "string"/);
+  assert.throws(
+    () => sanitize({}, { schema: { name: { action: 'reject' } } }),
+    /"schema\["name"\]\.type" must be one of/
+  );
+});
+
+test('fromMongooseSchema() should build schema rules from Mongoose-like schemas', () => {
+  const addressSchema = { paths: { city: { instance: 'String' }, zip: { instance: 'Number' } } };
+  const userSchema = {
+    paths: {
+      _id: { instance: 'ObjectId' },
+      username: { instance: 'String' },
+      age: { instance: 'Number' },
+      'settings.newsletter': { instance: 'Boolean' },
+      tags: { instance: 'Array', caster: { instance: 'String' } },
+      address: { instance: 'Embedded', schema: addressSchema },
+      addresses: { instance: 'Array', schema: addressSchema },
+      extra: { instance: 'Mixed' },
+    },
+  };
+
+  const rules = fromMongooseSchema(userSchema, { action: 'reject' });
+  assert.deepStrictEqual(Object.keys(rules), [
+    'body._id',
+    'body.username',
+    'body.age',
+    'body.settings.newsletter',
+    'body.tags',
+    'body.tags[]',
+    'body.address',
+    'body.address.city',
+    'body.address.zip',
+    'body.addresses',
+    'body.addresses[].city',
+    'body.addresses[].zip',
+    'body.extra',
+  ]);
+  assert.deepStrictEqual(rules['body.username'], { type: 'string', action: 'reject' });
+  assert.deepStrictEqual(rules['body.extra'], { type: 'any', action: 'reject' });
+
+  const schema = fromMongooseSchema(userSchema, { prefix: '' });
+  assert.deepStrictEqual(
+    sanitize({ username: { $ne: null }, age: '30', addresses: [{ city: ['x'], zip: '1000' }] }, { schema }),
+    { age: 30, addresses: [{ zip: 1000 }] }
+  );
+  assert.deepStrictEqual(sanitize({ _id: { _bsontype: 'ObjectId', $ne: null }, age: 30 }, { schema }), { age: 30 });
+  assert.throws(() => fromMongooseSchema({}), /expects a Mongoose schema/);
+});
+
+/**
+ * Minimal stand-ins for a Mongoose schema, query and aggregate, recording the registered hooks.
+ */
+const createFakeSchema = () => {
+  const hooks = {};
+  return {
+    hooks,
+    pre: (name, fn) => {
+      hooks[name] = fn;
+    },
+    runQuery(name, filter, options = {}) {
+      const query = {
+        filter,
+        getOptions: () => options,
+        getFilter: () => query.filter,
+        setQuery: (value) => {
+          query.filter = value;
+        },
+      };
+      hooks[name].call(query);
+      return query.filter;
+    },
+    runAggregate(stages, options = {}) {
+      hooks.aggregate.call({ options, pipeline: () => stages });
+      return stages;
+    },
+  };
+};
+
+test('mongoosePlugin() should sanitize the filters and $match stages of queries by default', () => {
+  const schema = createFakeSchema();
+  mongoosePlugin(schema);
+  assert.ok(schema.hooks.find && schema.hooks.updateOne && schema.hooks.aggregate);
+  assert.deepStrictEqual(schema.runQuery('findOne', { username: 'john.doe', password: { $gt: '' } }), {
+    username: 'john.doe',
+    password: {},
+  });
+  const stages = schema.runAggregate([{ $match: { $where: 'sleep(1000)' } }, { $limit: 10 }]);
+  assert.deepStrictEqual(stages, [{ $match: {} }, { $limit: 10 }]);
+  assert.throws(() => mongoosePlugin({}), /expects a Mongoose schema/);
+});
+
+test('mongoosePlugin() should leave queries that opt out untouched', () => {
+  const schema = createFakeSchema();
+  mongoosePlugin(schema);
+  const filter = { age: { $gte: 18 }, _id: { $in: ['a', 'b'] }, name: 'john.doe' };
+  assert.strictEqual(schema.runQuery('find', filter, { mongoSanitize: false }), filter);
+  assert.deepStrictEqual(filter, { age: { $gte: 18 }, _id: { $in: ['a', 'b'] }, name: 'john.doe' });
+  const stages = [{ $match: { _id: { $in: ['a'] } } }];
+  assert.deepStrictEqual(schema.runAggregate(stages, { mongoSanitize: false }), [{ $match: { _id: { $in: ['a'] } } }]);
+  assert.deepStrictEqual(schema.runQuery('find', { _id: { $in: ['a'] } }, { mongoSanitize: true }), { _id: {} });
+});
+
+test('mongoosePlugin() should keep operators built by application code', () => {
+  const schema = createFakeSchema();
+  mongoosePlugin(schema, { allowedOperators: { 'filter.age': ['$gte'] } });
+  assert.deepStrictEqual(schema.runQuery('find', { age: { $gte: 18 }, name: { $ne: null } }), {
+    age: { $gte: 18 },
+    name: {},
+  });
+  const range = trusted({ $gte: new Date(0), $lt: new Date(1000) });
+  const filter = schema.runQuery('find', { createdAt: range, role: { $in: ['admin'] } });
+  assert.strictEqual(filter.createdAt, range);
+  assert.deepStrictEqual(filter.role, {});
+});
+
+test('mongoosePlugin() should reject or only report injections in reject and monitor modes', () => {
+  const rejecting = createFakeSchema();
+  mongoosePlugin(rejecting, { mode: 'reject' });
+  assert.throws(
+    () => rejecting.runQuery('find', { email: { $ne: null } }),
+    (err) =>
+      err instanceof ExpressMongoSanitizeError &&
+      err.statusCode === 400 &&
+      err.source === 'filter' &&
+      err.findings[0].path === 'filter.email.$ne'
+  );
+  const monitoring = createFakeSchema();
+  mongoosePlugin(monitoring, { mode: 'monitor' });
+  const filter = { email: { $ne: null } };
+  assert.strictEqual(monitoring.runQuery('find', filter), filter);
+});
+
+test('escapeRegex() and isSafeRegex() should make $regex values safe to run', () => {
+  const escaped = escapeRegex('a.b*(c)[d]$');
+  assert.strictEqual(escaped, 'a\\.b\\*\\(c\\)\\[d\\]\\$');
+  assert.ok(new RegExp(`^${escaped}$`).test('a.b*(c)[d]$'));
+  assert.throws(() => escapeRegex({ $ne: null }), /expects a string/);
+
+  for (const pattern of [
+    '^j.*n$',
+    'cat|dog+',
+    '(cat|dog)?',
+    '(a+)b+',
+    '[(a+)]+',
+    '[a|b]+',
+    '(a+){1}',
+    '(a+){0,1}',
+    '(ab){3}',
+    '\\(a+\\)+',
+  ]) {
+    assert.strictEqual(isSafeRegex(pattern), true, pattern);
+  }
+  for (const pattern of [
+    '(a+)+',
+    '(a+){20}',
+    '(.*a){12}',
+    '(a+){2,5}',
+    '(\\d*){2,}',
+    '((ab)+c)*',
+    /(x+x+)+y/,
+    '(a|aa)+',
+    '(a|a)*',
+    '(\\w|\\d)+',
+    '((a|b)c)+',
+    'a'.repeat(257),
+    42,
+  ]) {
+    assert.strictEqual(isSafeRegex(pattern), false, String(pattern));
+  }
+  assert.strictEqual(isSafeRegex('a'.repeat(257), { maxLength: null }), true);
+});
+
+test('allowedOperators should check or escape $regex values', () => {
+  assert.deepStrictEqual(sanitize({ search: { $regex: '(a+){12}$' } }, { allowedOperators: { search: ['$regex'] } }), {
+    search: {},
+  });
+  const value = { search: { name: { $regex: '(a+)+$' }, bio: { $regex: 'j.*n', $options: 'i' } } };
+  assert.deepStrictEqual(sanitize(value, { allowedOperators: { search: ['$regex', '$options'] } }), {
+    search: { name: {}, bio: { $regex: 'j.*n', $options: 'i' } },
+  });
+  assert.deepStrictEqual(
+    sanitize(value, { allowedOperators: { search: { operators: ['$regex'], regex: 'escape' } } }),
+    {
+      search: { name: { $regex: '\\(a\\+\\)\\+\\$' }, bio: { $regex: 'j\\.\\*n' } },
+    }
+  );
+  assert.deepStrictEqual(
+    sanitize(
+      { search: { name: { $regex: /(a|aa)+$/ }, bio: { $regex: /^[a-z]{32}$/ } } },
+      { allowedOperators: { search: { operators: ['$regex'], maxRegexLength: 10, regex: 'escape' } } }
+    ),
+    { search: { name: {}, bio: {} } }
+  );
+  assert.throws(
+    () => sanitize(value, { allowedOperators: { search: { operators: ['$regex', '$options'], action: 'reject' } } }),
+    { type: 'operator_not_allowed', message: /search\.name\.\$regex' \(unsafe \$regex, nested quantifier/ }
+  );
+});
+
+test('allowedOperators should apply only the most specific rule', () => {
+  const options = {
+    allowedOperators: {
+      filter: ['$gt', '$ne', '$regex'],
+      'filter.sub': { operators: ['$eq', '$regex'], maxRegexLength: 3 },
+    },
+  };
+  assert.deepStrictEqual(
+    sanitize({ filter: { a: { $gt: 1, $eq: 2 }, sub: { $gt: 1, $eq: 2, $regex: 'abcd' } } }, options),
+    { filter: { a: { $gt: 1 }, sub: { $eq: 2 } } }
+  );
+  assert.deepStrictEqual(sanitize({ filter: { a: { $regex: 'abcd' } } }, options), {
+    filter: { a: { $regex: 'abcd' } },
+  });
+});
+
+test('global patterns should give the same result on repeated calls', () => {
+  const options = { patterns: [/admin/g], removeMatches: true };
+  const input = { admin: 'x', role: 'admin', other: 'safe' };
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(hasInjection('admin', options), true);
+    assert.deepStrictEqual(sanitize(input, options), { other: 'safe' });
+  }
+});
+
+test('strings without special characters should pass through unchanged', () => {
+  const input = { name: 'plain text', email: 'user@example.com', list: ['a', 'b'] };
+
+  assert.deepStrictEqual(sanitize(input), input);
+  assert.strictEqual(hasInjection(input), false);
+  assert.deepStrictEqual(sanitize({ name: 'Plain Text ' }, { stringOptions: { trim: true, lowercase: true } }), {
+    name: 'plain text',
+  });
+});
 
 after(() => {
   setTimeout(() => process.exit(0), 100);
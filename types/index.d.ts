@@ -1,4 +1,4 @@
-import { RequestHandler, RequestParamHandler } from 'express';
+import { Request, RequestHandler, RequestParamHandler } from 'express';
 
 /**
  * String-specific sanitizer options.
@@ -16,17 +16,290 @@ export interface StringOptions {
  * Array-specific sanitizer options.
  */
 export interface ArrayOptions {
-  /** Remove null values from arrays */
+  /** Remove null and undefined values from arrays (other falsy values are kept) */
   filterNull?: boolean;
   /** Remove duplicate values from arrays */
   distinct?: boolean;
 }
 
+/**
+ * Limits protecting against resource-exhaustion payloads (null = unlimited).
+ */
+export interface LimitOptions {
+  /** Maximum nesting depth of objects and arrays (the top-level value is depth 1) */
+  maxDepth?: number | null;
+  /** Maximum number of keys per object */
+  maxKeys?: number | null;
+  /** Maximum number of items per array */
+  maxArrayLength?: number | null;
+  /** Maximum length of keys and string values (longer keys are removed, longer values truncated) */
+  maxStringLength?: number | null;
+  /** Drop/truncate what exceeds a limit, or reject with a 413 'limit_exceeded' error */
+  action?: 'truncate' | 'reject';
+}
+
+/**
+ * Header-specific sanitizer options.
+ */
+export interface HeaderOptions {
+  /** Headers left untouched (case-insensitive, a trailing `*` matches a prefix). Replaces the default list. */
+  allowlist?: string[];
+}
+
+/**
+ * Query-string specific options, applied to the raw query string so Express 4 and 5 behave the same.
+ */
+export interface QueryOptions {
+  /** Rebuild `req.query` with string and array-of-string values only, refusing nested object syntax (default: false) */
+  flatten?: boolean;
+  /** Highest array index accepted in `key[N]` syntax (default: null) */
+  maxArrayIndex?: number | null;
+  /** Remove refused parameters (and report them) or reject the request with a 400 error (default: 'drop') */
+  action?: 'drop' | 'reject';
+}
+
+/**
+ * Request objects that can be sanitized.
+ */
+export type SanitizeObject = 'body' | 'query' | 'headers' | 'cookies' | 'signedCookies' | 'params';
+
+/**
+ * Route to skip: a path with `:param`/`*` wildcards, a RegExp, a `{ method, path }` object or a predicate.
+ */
+export type SkipRoute =
+  | string
+  | RegExp
+  | { method?: string | string[]; path?: string | RegExp }
+  | ((req: Request) => boolean);
+
+/**
+ * Built-in string formats that can be preserved untouched.
+ */
+export type PreserveFormat = 'email' | 'url' | 'uuid' | 'iso-date' | 'objectid' | 'semver';
+
+/**
+ * Custom preservation predicate, called with the string and its path (e.g. 'body.user.website').
+ */
+export type PreservePredicate = (value: string, path: string) => boolean;
+
+/**
+ * Value sanitization rule applied to a path and everything below it.
+ */
+export interface FieldRule {
+  /** Set to false to leave values untouched (keys are always sanitized) */
+  sanitizeValues?: boolean;
+  /** Patterns used for values under this path instead of the global patterns */
+  patterns?: RegExp[];
+  /** Formats or predicates preserved under this path instead of the global `preserve` list */
+  preserve?: Array<PreserveFormat | PreservePredicate>;
+}
+
+/**
+ * Expected type of a value: 'scalar' is any non-container value, 'any' disables the check.
+ */
+export type SchemaType = 'string' | 'number' | 'boolean' | 'scalar' | 'object' | 'array' | 'any';
+
+/**
+ * Schema rule for a path: mismatching values are coerced when possible and removed otherwise
+ * (`action: 'coerce'`, the default), or rejected with a 400 error (`action: 'reject'`).
+ */
+export type SchemaRule = SchemaType | { type: SchemaType; action?: 'coerce' | 'reject' };
+
+/**
+ * Operators allowed under a path. Other operators are removed (`action: 'remove'`, the default) or rejected with a
+ * 400 error (`action: 'reject'`), as is a `$regex` longer than `maxRegexLength` or with a repeated group containing a
+ * quantifier or an alternation.
+ * With `regex: 'escape'`, `$regex` strings are escaped to match literally instead.
+ */
+export type OperatorRule =
+  | string[]
+  | {
+      operators: string[];
+      action?: 'remove' | 'reject';
+      maxRegexLength?: number | null;
+      regex?: 'check' | 'escape';
+    };
+
+/**
+ * Options controlling how requests are rejected in 'reject' mode.
+ */
+export interface RejectOptions {
+  /** HTTP status code attached to the error (default: 400) */
+  statusCode?: number;
+  /** Error type identifier (default: 'injection_detected') */
+  type?: string;
+  /** Error message */
+  message?: string;
+  /** JSON body attached to the error (default: { statusCode, error, message }) */
+  body?: Record<string, unknown> | null;
+}
+
+/**
+ * pino, bunyan or winston compatible logger. Loggers with `transports` (winston) are called with
+ * `(message, fields)`, others with `(fields, message)`. Missing `debug`/`trace` methods fall back to `info`.
+ */
+export interface SanitizeLogger {
+  error(...args: any[]): unknown;
+  warn(...args: any[]): unknown;
+  info(...args: any[]): unknown;
+  debug?(...args: any[]): unknown;
+  trace?(...args: any[]): unknown;
+  transports?: unknown;
+}
+
+/**
+ * Metrics sink called with the sanitizer's counters (`mongo_sanitize_*_total`) and durations
+ * (`mongo_sanitize_duration_seconds`).
+ */
+export interface SanitizeMetrics {
+  increment(name: string, tags: Record<string, string>): unknown;
+  observe(name: string, value: number, tags: Record<string, string>): unknown;
+}
+
+/**
+ * In-process registry returned by `createPrometheusMetrics()`.
+ */
+export interface PrometheusMetrics extends SanitizeMetrics {
+  /** Content type of the exposition text */
+  readonly contentType: string;
+  increment(name: string, tags?: Record<string, string>, value?: number): void;
+  observe(name: string, value: number, tags?: Record<string, string>): void;
+  /** Renders all series in the Prometheus text exposition format */
+  metrics(): string;
+  /** Drops all series */
+  reset(): void;
+}
+
 export interface DebugOptions {
   /** Enable debug logging */
   enabled?: boolean;
   /** Log level (e.g., 'silent' | 'error' | 'warn' | 'info' | 'debug' | 'trace') */
-  level?: string;
+  level?: 'silent' | 'error' | 'warn' | 'info' | 'debug' | 'trace';
+  /** Log skipped routes at 'info' level */
+  logSkippedRoutes?: boolean;
+  /** Logger receiving entries instead of the console */
+  logger?: SanitizeLogger | null;
+  /** Console output format (default: 'pretty') */
+  format?: 'json' | 'pretty';
+  /** ANSI colors for 'pretty' output; 'auto' enables them on a TTY unless NO_COLOR is set (default: 'auto') */
+  colors?: boolean | 'auto';
+  /** Keys or path rules whose values are logged as '[REDACTED]' (default: password, secret, token, ...) */
+  redact?: string[];
+}
+
+/**
+ * A single key or value that matched the sanitization patterns.
+ */
+export interface SanitizeFinding {
+  /** JSON path of the matched key or value (e.g. 'body.filter.$where') */
+  path: string;
+  /** Whether the key or the value matched */
+  type: 'key' | 'value';
+  /** Whether the matched data was rewritten or removed */
+  action: 'replaced' | 'removed';
+  /** String representation of every pattern that matched */
+  patterns: string[];
+  /** Original key or value */
+  before: unknown;
+  /** Sanitized key or value (undefined when removed) */
+  after: unknown;
+}
+
+/**
+ * Structured report produced by every sanitization run.
+ */
+export interface SanitizeReport {
+  /** True if at least one finding was recorded */
+  sanitized: boolean;
+  /** Everything that matched, in traversal order */
+  findings: SanitizeFinding[];
+}
+
+/**
+ * Counters kept by a middleware instance, exposed as `middleware.stats`.
+ */
+export interface SanitizeStats {
+  /** Requests inspected (skipped routes and manual mode are not counted) */
+  requests: number;
+  /** Requests with at least one finding */
+  flagged: number;
+  /** Total number of findings */
+  findings: number;
+}
+
+/**
+ * Payload of the 'sanitized' event, emitted when a run had findings ('monitor' mode leaves the request untouched).
+ */
+export interface SanitizedEvent {
+  req: Request;
+  mode: 'auto' | 'manual' | 'monitor';
+  /** Paths of the matched keys and values */
+  paths: string[];
+  /** Distinct patterns that matched */
+  patterns: string[];
+  findings: SanitizeFinding[];
+}
+
+/**
+ * Payload of the 'rejected' event, emitted for injections in 'reject' mode and rejected limits.
+ */
+export interface RejectedEvent {
+  req: Request;
+  mode: ExpressMongoSanitizeOptions['mode'];
+  /** Error type (e.g. 'injection_detected' or 'limit_exceeded') */
+  type: string;
+  error: ExpressMongoSanitizeError;
+  paths: string[];
+  patterns: string[];
+  findings: SanitizeFinding[];
+}
+
+/**
+ * Payload of the 'skipped' event, emitted for requests on `skipRoutes`.
+ */
+export interface SkippedEvent {
+  req: Request;
+  mode: ExpressMongoSanitizeOptions['mode'];
+  /** Request path that matched a skip rule */
+  route: string;
+}
+
+/**
+ * Payload of the 'error' event, emitted for unexpected errors (e.g. thrown by a custom sanitizer).
+ */
+export interface SanitizeErrorEvent {
+  req: Request;
+  mode: ExpressMongoSanitizeOptions['mode'];
+  error: unknown;
+}
+
+export interface SanitizeEvents {
+  sanitized: SanitizedEvent;
+  rejected: RejectedEvent;
+  skipped: SkippedEvent;
+  error: SanitizeErrorEvent;
+}
+
+type SanitizeListener<E extends keyof SanitizeEvents> = (event: SanitizeEvents[E]) => void;
+
+/**
+ * Middleware returned by `expressMongoSanitize()` and `expressMongoSanitize.route()`, with an EventEmitter interface.
+ * Listener errors are logged and never affect the request.
+ */
+export interface SanitizeMiddleware extends RequestHandler {
+  /** Counters of inspected requests, flagged requests and findings */
+  readonly stats: SanitizeStats;
+  on<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  once<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  off<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  addListener<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  removeListener<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  prependListener<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  prependOnceListener<E extends keyof SanitizeEvents>(event: E, listener: SanitizeListener<E>): this;
+  removeAllListeners(event?: keyof SanitizeEvents): this;
+  listeners<E extends keyof SanitizeEvents>(event: E): SanitizeListener<E>[];
+  listenerCount(event: keyof SanitizeEvents): number;
+  eventNames(): Array<keyof SanitizeEvents>;
 }
 
 /**
@@ -38,43 +311,185 @@ export interface ExpressMongoSanitizeOptions {
   /** Remove values matching patterns */
   removeMatches?: boolean;
   /** Request objects to sanitize (default: ['body', 'query']) */
-  sanitizeObjects?: Array<'body' | 'query'>;
-  /** Automatic or manual mode */
-  mode?: 'auto' | 'manual';
-  /** Paths to skip sanitizing */
-  skipRoutes?: string[];
+  sanitizeObjects?: SanitizeObject[];
+  /** Automatic, manual, reject or monitor mode ('monitor' only reports findings and leaves requests untouched) */
+  mode?: 'auto' | 'manual' | 'reject' | 'monitor';
+  /** 'patterns' (default) applies `patterns` to keys and values, 'operators' only removes `$` and dotted keys */
+  strategy?: 'patterns' | 'operators';
+  /** Routes to skip, matched against the full mounted path (`req.baseUrl + req.path`) */
+  skipRoutes?: SkipRoute[];
   /** Completely custom sanitizer function */
   customSanitizer?: (data: any, options: ExpressMongoSanitizeOptions) => any;
-  /** Recursively sanitize nested objects */
+  /** Called with the report of every sanitization run */
+  onSanitize?: ((report: SanitizeReport, req: Request) => void) | null;
+  /** Receives request, sanitized field, rejection and skipped route counters and sanitization durations */
+  metrics?: SanitizeMetrics | null;
+  /** Recursively sanitize nested objects (false = top-level only) */
   recursive?: boolean;
   /** Remove empty values after sanitizing */
   removeEmpty?: boolean;
   /** Patterns to match for sanitization */
   patterns?: RegExp[];
-  /** Only allow these keys in sanitized objects */
+  /** Only allow these keys or paths (e.g. 'username', 'body.user.*.email', 'body.items[].price') */
   allowedKeys?: string[];
-  /** Remove these keys from sanitized objects */
+  /** Remove these keys or paths (e.g. 'password', 'query.sort', 'body.**.role') */
   deniedKeys?: string[];
+  /** Paths whose values are not sanitized (keys still are), e.g. 'body.product.price' */
+  exemptPaths?: string[];
+  /** Strings left untouched when they match a format or predicate (default: ['email']) */
+  preserve?: Array<PreserveFormat | PreservePredicate>;
+  /** Per-path value rules, e.g. { 'body.content': { patterns: [/\$/g] } } */
+  fieldRules?: Record<string, FieldRule>;
+  /** Expected type per path, e.g. { 'body.username': 'string' } (see `fromMongooseSchema`) */
+  schema?: Record<string, SchemaRule>;
+  /** Operators kept under a path, e.g. { 'body.filter': ['$eq', '$in'] }; only the most specific rule applies ($where, $function, $expr and $accumulator never are kept) */
+  allowedOperators?: Record<string, OperatorRule>;
   /** String sanitizer options */
   stringOptions?: StringOptions;
   /** Array sanitizer options */
   arrayOptions?: ArrayOptions;
+  /** Depth, size and key-count limits */
+  limitOptions?: LimitOptions;
+  /** Header sanitizer options */
+  headerOptions?: HeaderOptions;
+  /** Query-string options */
+  queryOptions?: QueryOptions;
+  /** Reject mode options */
+  rejectOptions?: RejectOptions;
   /** Debugging options */
   debug?: DebugOptions;
 }
 
+/**
+ * Error thrown for invalid configuration and passed to `next(err)` when a request is rejected.
+ */
+export declare class ExpressMongoSanitizeError extends Error {
+  constructor(message: string, type?: string);
+  name: 'ExpressMongoSanitizeError';
+  /** Error type identifier */
+  type: string;
+  /** HTTP status code (set for rejected requests) */
+  status?: number;
+  /** HTTP status code (set for rejected requests) */
+  statusCode?: number;
+  /** Whether the message is safe to expose to clients (set for rejected requests) */
+  expose?: boolean;
+  /** Request object that contained the injection (set for rejected requests) */
+  source?: string;
+  /** JSON response body (set for rejected requests) */
+  body?: Record<string, unknown>;
+  /** Findings that caused the rejection (set for rejected requests) */
+  findings?: SanitizeFinding[];
+  /** Path of the invalid option, e.g. 'limitOptions.maxDepth' (set for configuration errors) */
+  option?: string;
+  code(): string;
+  view(): string;
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** Report of the last sanitization run */
+      sanitizeReport?: SanitizeReport;
+    }
+  }
+}
+
 /**
  * Middleware for automatic sanitization of request objects.
  */
-declare function expressMongoSanitize(options?: ExpressMongoSanitizeOptions): RequestHandler;
+declare function expressMongoSanitize(options?: ExpressMongoSanitizeOptions): SanitizeMiddleware;
+
+/**
+ * Route-level sanitizer whose options are layered over those of the app-level instance that handled the request.
+ * Objects that instance already sanitized are sanitized again from their original data when the route's options
+ * change something; objects marked with `markSanitized()` are left untouched.
+ */
+declare function sanitizeRoute(options?: ExpressMongoSanitizeOptions): SanitizeMiddleware;
+
+declare namespace expressMongoSanitize {
+  const route: typeof sanitizeRoute;
+}
+
+/**
+ * Checks whether a request object (any object when `name` is omitted) was sanitized and left untouched since.
+ */
+declare function isSanitized(req: Request, name?: SanitizeObject): boolean;
+
+/**
+ * Marks request objects as already sanitized so `expressMongoSanitize()` and `route()` instances leave them untouched.
+ */
+declare function markSanitized(req: Request, names?: SanitizeObject[]): void;
 
 /**
  * Middleware for sanitizing individual route parameters.
  */
 declare function paramSanitizeHandler(options?: ExpressMongoSanitizeOptions): RequestParamHandler;
 
+/**
+ * Sanitizes any value outside of Express and returns a sanitized copy.
+ */
+declare function sanitize<T>(value: T, options?: ExpressMongoSanitizeOptions): T;
+
+/**
+ * Checks whether a value contains keys or strings matching the sanitization patterns.
+ */
+declare function hasInjection(value: unknown, options?: ExpressMongoSanitizeOptions): boolean;
+
+/**
+ * Creates an in-process metrics registry for the `metrics` option that renders the Prometheus text format.
+ */
+declare function createPrometheusMetrics(options?: { buckets?: number[] }): PrometheusMetrics;
+
+/**
+ * Builds a `schema` option from a Mongoose schema (or any object with Mongoose-like `paths`).
+ */
+declare function fromMongooseSchema(
+  mongooseSchema: { paths: Record<string, unknown> },
+  options?: { prefix?: string; action?: 'coerce' | 'reject' }
+): Record<string, { type: SchemaType; action: 'coerce' | 'reject' }>;
+
+/**
+ * Mongoose plugin sanitizing (or rejecting) query filters and aggregation `$match` stages, found at `filter`, of
+ * every query and aggregate not opting out with `{ mongoSanitize: false }`. The default strategy is 'operators'.
+ */
+declare function mongoosePlugin(
+  schema: { pre(name: string, fn: (this: any) => void): unknown },
+  options?: ExpressMongoSanitizeOptions
+): void;
+
+/**
+ * Marks an object built by application code so it is never sanitized, e.g. `{ $gte: start, $lt: end }`.
+ */
+declare function trusted<T extends object>(value: T): T;
+
+/**
+ * Escapes a string for literal use in a regular expression or a `$regex` value.
+ */
+declare function escapeRegex(value: string): string;
+
+/**
+ * Checks whether a pattern is no longer than `maxLength` (256 by default) and free of repeated groups containing a
+ * quantifier or an alternation.
+ */
+declare function isSafeRegex(pattern: string | RegExp, options?: { maxLength?: number | null }): boolean;
+
 /**
  * Main export for express-mongo-sanitize middleware.
  */
 export default expressMongoSanitize;
-export { expressMongoSanitize, paramSanitizeHandler };
+export {
+  expressMongoSanitize,
+  paramSanitizeHandler,
+  sanitizeRoute as route,
+  isSanitized,
+  markSanitized,
+  sanitize,
+  hasInjection,
+  createPrometheusMetrics,
+  fromMongooseSchema,
+  mongoosePlugin,
+  trusted,
+  escapeRegex,
+  isSafeRegex,
+};
@@ -1,5 +1,22 @@
-import type { Application } from 'express';
-import expressMongoSanitize, { ExpressMongoSanitizeOptions } from './';
+import type { Application, ErrorRequestHandler } from 'express';
+import { expectType } from 'tsd';
+import expressMongoSanitize, {
+  ExpressMongoSanitizeError,
+  ExpressMongoSanitizeOptions,
+  SanitizeReport,
+  SanitizeStats,
+  createPrometheusMetrics,
+  escapeRegex,
+  fromMongooseSchema,
+  hasInjection,
+  isSafeRegex,
+  isSanitized,
+  markSanitized,
+  mongoosePlugin,
+  route,
+  sanitize,
+  trusted,
+} from './';
 
 declare const app: Application;
 
@@ -11,13 +28,26 @@ app.use(
     removeMatches: true,
     sanitizeObjects: ['body', 'query'],
     mode: 'auto',
-    skipRoutes: ['login'],
+    skipRoutes: [
+      'login',
+      '/webhooks/:provider',
+      /^\/health/,
+      { method: ['GET', 'HEAD'], path: '/search' },
+      (req) => req.method === 'OPTIONS',
+    ],
     customSanitizer: (data, options) => data,
     recursive: true,
     removeEmpty: true,
     patterns: [/pattern/],
     allowedKeys: ['key'],
     deniedKeys: ['key'],
+    exemptPaths: ['body.price'],
+    preserve: ['email', 'uuid', (value, path) => path === 'body.sku' && value.startsWith('SKU.')],
+    fieldRules: {
+      'body.content': { patterns: [/\$/g] },
+      'body.version': { sanitizeValues: false },
+      'body.links': { preserve: ['url', 'semver'] },
+    },
     stringOptions: {
       trim: true,
       lowercase: true,
@@ -27,11 +57,144 @@ app.use(
       filterNull: true,
       distinct: true,
     },
+    headerOptions: {
+      allowlist: ['host', 'x-api-*'],
+    },
+    limitOptions: {
+      maxDepth: 10,
+      maxKeys: 100,
+      maxArrayLength: 100,
+      maxStringLength: null,
+      action: 'reject',
+    },
     debug: {
       enabled: true,
       level: 'info',
+      logSkippedRoutes: true,
+      logger: console,
+      format: 'json',
+      colors: 'auto',
+      redact: ['password', 'body.card.number'],
     },
   } satisfies ExpressMongoSanitizeOptions)
 );
 
+app.use(
+  expressMongoSanitize({
+    sanitizeObjects: ['body', 'query', 'headers', 'cookies', 'signedCookies', 'params'],
+  })
+);
+
+app.use(
+  expressMongoSanitize({
+    strategy: 'operators',
+    allowedOperators: { 'body.filter': ['$eq', '$in'] },
+  })
+);
+
+app.use(
+  expressMongoSanitize({
+    allowedOperators: {
+      'body.search': { operators: ['$regex', '$options'], action: 'reject', maxRegexLength: 64 },
+      'body.title': { operators: ['$regex'], regex: 'escape' },
+    },
+  })
+);
+
+expectType<string>(escapeRegex('a.b'));
+expectType<boolean>(isSafeRegex(/(a+)+/, { maxLength: null }));
+
+app.use(
+  expressMongoSanitize({
+    mode: 'reject',
+    rejectOptions: {
+      statusCode: 422,
+      type: 'nosql_injection',
+      message: 'Forbidden characters',
+      body: { error: 'Forbidden characters' },
+    },
+  })
+);
+
+app.use(
+  expressMongoSanitize({
+    onSanitize: (report, req) => {
+      expectType<SanitizeReport>(report);
+      expectType<string>(report.findings[0].path);
+      expectType<'key' | 'value'>(report.findings[0].type);
+      expectType<SanitizeReport | undefined>(req.sanitizeReport);
+    },
+  })
+);
+
+app.post('/products', expressMongoSanitize.route({ exemptPaths: ['body.price'] }), (req, res) => {
+  expectType<boolean>(isSanitized(req, 'body'));
+  expectType<boolean>(isSanitized(req));
+  markSanitized(req, ['query']);
+  res.json(req.body);
+});
+app.post('/strict', route({ mode: 'reject' }));
+
+const monitor = expressMongoSanitize({ mode: 'monitor' });
+app.use(monitor);
+expectType<SanitizeStats>(monitor.stats);
+expectType<number>(route().stats.flagged);
+
+const registry = createPrometheusMetrics({ buckets: [0.001, 0.01] });
+app.use(expressMongoSanitize({ metrics: registry }));
+app.use(expressMongoSanitize({ metrics: { increment: (name, tags) => {}, observe: (name, value, tags) => {} } }));
+app.get('/metrics', (req, res) => {
+  res.type(registry.contentType).send(registry.metrics());
+});
+expectType<string>(registry.metrics());
+
+monitor
+  .on('sanitized', ({ req, paths, patterns, mode }) => {
+    expectType<string[]>(paths);
+    expectType<string[]>(patterns);
+    expectType<'auto' | 'manual' | 'monitor'>(mode);
+  })
+  .on('rejected', ({ error, type }) => {
+    expectType<ExpressMongoSanitizeError>(error);
+    expectType<string>(type);
+  })
+  .once('skipped', ({ route }) => expectType<string>(route))
+  .on('error', ({ error }) => expectType<unknown>(error));
+expectType<number>(monitor.listenerCount('sanitized'));
+
+const errorHandler: ErrorRequestHandler = (err, req, res, next) => {
+  if (err instanceof ExpressMongoSanitizeError) {
+    expectType<string>(err.type);
+    expectType<string | undefined>(err.option);
+    expectType<number | undefined>(err.statusCode);
+    res.status(err.statusCode ?? 400).json(err.body);
+    return;
+  }
+  next(err);
+};
+app.use(errorHandler);
+
+expectType<{ username: string }>(sanitize({ username: '$admin' }));
+declare const message: string;
+expectType<string>(sanitize(message, { replaceWith: '_' }));
+expectType<boolean>(hasInjection({ password: { $ne: null } }));
+
 export { expressMongoSanitize, ExpressMongoSanitizeOptions };
+
+declare const userSchema: { paths: Record<string, unknown> };
+app.use(
+  expressMongoSanitize({
+    schema: {
+      'body.username': 'string',
+      'body.password': { type: 'string', action: 'reject' },
+      'query.page': 'number',
+      ...fromMongooseSchema(userSchema, { prefix: 'body.user', action: 'reject' }),
+    },
+  })
+);
+
+app.use(expressMongoSanitize({ queryOptions: { flatten: true, maxArrayIndex: 20, action: 'reject' } }));
+
+declare const mongooseSchema: { pre(name: string, fn: () => void): void };
+mongoosePlugin(mongooseSchema, { allowedOperators: { 'filter.age': ['$gte'] } });
+expectType<{ $gte: Date }>(trusted({ $gte: new Date() }));